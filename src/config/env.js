@@ -2,6 +2,28 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
+/**
+ * Trousseau de clés maîtres: ENCRYPTION_KEYS="id1:secret1,id2:secret2"
+ * ENCRYPTION_KEY (ancienne clé unique) y figure sous l'id "legacy"
+ */
+function parseKeyring() {
+  const keyring = {};
+  if (process.env.ENCRYPTION_KEY) keyring.legacy = process.env.ENCRYPTION_KEY;
+  const entries = (process.env.ENCRYPTION_KEYS || '').split(',').map(s => s.trim()).filter(Boolean);
+  for (const entry of entries) {
+    const sep = entry.indexOf(':');
+    keyring[sep > 0 ? entry.slice(0, sep).trim() : entry] = sep > 0 ? entry.slice(sep + 1).trim() : '';
+  }
+  return keyring;
+}
+
+// Clé maître active: ENCRYPTION_KEY_ID, sinon la dernière de ENCRYPTION_KEYS, sinon "legacy"
+function activeKeyId(keyring) {
+  if (process.env.ENCRYPTION_KEY_ID) return process.env.ENCRYPTION_KEY_ID.trim();
+  const ids = Object.keys(keyring).filter(id => id !== 'legacy');
+  return ids.length > 0 ? ids[ids.length - 1] : 'legacy';
+}
+
 /**
  * Valide et retourne les variables d'environnement requises
  * Le serveur ne démarrera pas si les variables critiques sont manquantes
@@ -16,12 +38,25 @@ function validateEnv() {
     errors.push('JWT_SECRET doit être une chaîne sécurisée d\'au moins 32 caractères.');
   }
 
-  if (!process.env.ENCRYPTION_KEY) {
-    errors.push('ENCRYPTION_KEY est requis. Ne pas utiliser de valeur par défaut en production.');
-  } else if (process.env.ENCRYPTION_KEY === 'default_encryption_key_32_bytes_long!' || process.env.ENCRYPTION_KEY.length < 32) {
+  if (!process.env.ENCRYPTION_KEY && !process.env.ENCRYPTION_KEYS) {
+    errors.push('ENCRYPTION_KEY ou ENCRYPTION_KEYS est requis. Ne pas utiliser de valeur par défaut en production.');
+  } else if (process.env.ENCRYPTION_KEY && (process.env.ENCRYPTION_KEY === 'default_encryption_key_32_bytes_long!' || process.env.ENCRYPTION_KEY.length < 32)) {
     errors.push('ENCRYPTION_KEY doit être une chaîne sécurisée d\'au moins 32 caractères.');
   }
 
+  // Trousseau: ids simples, secrets d'au moins 32 caractères, clé active présente
+  const keyring = parseKeyring();
+  for (const [id, secret] of Object.entries(keyring)) {
+    if (!/^[A-Za-z0-9_.-]{1,64}$/.test(id)) {
+      errors.push(`ENCRYPTION_KEYS: identifiant de clé invalide "${id}" (format id:secret)`);
+    } else if (secret.length < 32) {
+      errors.push(`ENCRYPTION_KEYS: la clé "${id}" doit faire au moins 32 caractères.`);
+    }
+  }
+  if (Object.keys(keyring).length > 0 && !(activeKeyId(keyring) in keyring)) {
+    errors.push(`ENCRYPTION_KEY_ID "${activeKeyId(keyring)}" absent du trousseau.`);
+  }
+
   // Variables de base de données
   if (!process.env.MYSQL_DATABASE) {
     errors.push('MYSQL_DATABASE est requis.');
@@ -70,6 +105,8 @@ export const env = {
   JWT_SECRET: process.env.JWT_SECRET,
   JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '24h',
   ENCRYPTION_KEY: process.env.ENCRYPTION_KEY,
+  ENCRYPTION_KEYRING: parseKeyring(),
+  ENCRYPTION_KEY_ID: activeKeyId(parseKeyring()),
 
   // MySQL
   MYSQL_HOST: process.env.MYSQL_HOST || 'localhost',
@@ -90,5 +127,14 @@ export const env = {
   SMTP_USER: process.env.SMTP_USER || '',
   SMTP_PASS: process.env.SMTP_PASS || '',
   MAIL_FROM: process.env.MAIL_FROM || 'VOTUX <no-reply@localhost>',
+
+  // Planificateur d'ouverture / clôture des scrutins (0 = désactivé)
+  ELECTION_SCHEDULER_INTERVAL_MS: parseInt(process.env.ELECTION_SCHEDULER_INTERVAL_MS || '30000', 10),
+
+  // Fichiers des candidats (photos, professions de foi PDF)
+  STORAGE_DRIVER: process.env.STORAGE_DRIVER || 'local',
+  UPLOADS_DIR: process.env.UPLOADS_DIR || 'uploads',
+  CANDIDATE_PHOTO_MAX_BYTES: parseInt(process.env.CANDIDATE_PHOTO_MAX_BYTES || String(2 * 1024 * 1024), 10),
+  CANDIDATE_MANIFESTO_MAX_BYTES: parseInt(process.env.CANDIDATE_MANIFESTO_MAX_BYTES || String(10 * 1024 * 1024), 10),
 };
 
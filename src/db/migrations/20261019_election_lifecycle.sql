@@ -0,0 +1,25 @@
+-- Election lifecycle: draft, scheduled, open, closed, tallied, proclaimed, cancelled, archived
+-- (same steps as ensureElectionStatuses() in server.js)
+-- 1) Free the column from the legacy ENUM
+ALTER TABLE elections
+  MODIFY COLUMN status VARCHAR(16) NULL DEFAULT 'draft';
+ALTER TABLE elections
+  ADD COLUMN IF NOT EXISTS archived_from_status VARCHAR(16) NULL;
+
+-- 2) Map legacy values to lifecycle states
+UPDATE elections SET status = 'draft'     WHERE status IS NULL OR status = '';
+UPDATE elections SET status = 'scheduled' WHERE status = 'pending';
+UPDATE elections SET status = 'open'      WHERE status IN ('active', 'ongoing');
+UPDATE elections SET status = 'closed'    WHERE status = 'completed';
+
+-- 3) Closed elections that already have results
+UPDATE elections e JOIN election_results r ON r.election_id = e.id
+  SET e.status = IF(r.proclaimed = 1, 'proclaimed', 'tallied')
+  WHERE e.status = 'closed';
+
+-- 4) Legacy archived flag (only if the column exists): archiving becomes a state
+-- UPDATE elections SET archived_from_status = status, status = 'archived', archived = 0
+--   WHERE archived = 1 AND status <> 'archived';
+
+ALTER TABLE elections
+  MODIFY COLUMN status VARCHAR(16) NOT NULL DEFAULT 'draft';
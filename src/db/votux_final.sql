@@ -83,7 +83,7 @@ CREATE TABLE `elections` (
   `description` text DEFAULT NULL,
   `start_date` datetime NOT NULL,
   `end_date` datetime NOT NULL,
-  `status` enum('draft','active','completed','cancelled') DEFAULT 'draft',
+  `status` varchar(16) NOT NULL DEFAULT 'draft',
   `created_by` int(11) DEFAULT NULL,
   `is_public` tinyint(1) DEFAULT 0,
   `max_votes` int(11) DEFAULT 1,
@@ -96,7 +96,7 @@ CREATE TABLE `elections` (
 --
 
 INSERT INTO `elections` (`id`, `title`, `description`, `start_date`, `end_date`, `status`, `created_by`, `is_public`, `max_votes`, `created_at`, `updated_at`) VALUES
-(2, 'Votux teste', 'je viens de reactualiser la base de donnees donc je teste d\'abord', '2025-10-31 23:43:00', '2025-10-31 00:00:00', 'active', 1, 0, 1, '2025-10-31 22:45:19', '2025-10-31 23:05:19');
+(2, 'Votux teste', 'je viens de reactualiser la base de donnees donc je teste d\'abord', '2025-10-31 23:43:00', '2025-10-31 00:00:00', 'open', 1, 0, 1, '2025-10-31 22:45:19', '2025-10-31 23:05:19');
 
 -- --------------------------------------------------------
 
@@ -68,6 +68,18 @@ export const activationLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Rate limiter pour la vérification publique des reçus (anti-énumération)
+export const receiptLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // 100 vérifications par IP / 15 min
+  message: {
+    success: false,
+    message: 'Trop de vérifications de reçu. Réessayez dans quelques minutes.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Rate limiter général pour les API (protection de base)
 export const apiLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
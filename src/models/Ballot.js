@@ -6,6 +6,10 @@ const ballotSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // JSON { keyId, encryptedData, iv, authTag } (keyId absent dans l'ancien format) ; contenu déchiffré:
+  // { electionId, candidateId | ranking | candidateIds | blank: true, timestamp }
+  // Scrutin à plusieurs questions: { electionId, contests: { [contestId]: sélection }, timestamp }
+  // Le vote blanc n'est visible qu'après déchiffrement, comme tout autre choix
   encryptedVote: {
     type: String,
     required: true
@@ -15,14 +19,97 @@ const ballotSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  // Clé de données du scrutin ayant chiffré le bulletin (trousseau de clés, voir utils/keyring.js)
+  keyId: {
+    type: String,
+    index: true,
+    sparse: true
+  },
   timestamp: {
     type: Date,
     default: Date.now
+  },
+  // Revote (scrutins allow_revote): empreinte du jeton remis à l'électeur, sans lien avec son identité
+  revoteHash: {
+    type: String,
+    index: true,
+    sparse: true
+  },
+  // Vote anonyme (anonymous_credentials): empreinte du jeton signé en aveugle, un seul bulletin par jeton
+  credentialHash: {
+    type: String
+  },
+  // Bulletin remplacé par un revote: conservé dans l'urne mais exclu du dépouillement
+  superseded: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  supersededAt: {
+    type: Date,
+    default: null
+  },
+  // Urne chaînée: rang dans l'urne, empreinte du maillon précédent et de ce maillon (voir utils/ballotChain.js)
+  sequence: {
+    type: Number
+  },
+  previousHash: {
+    type: String
+  },
+  chainHash: {
+    type: String
+  },
+  // Vote en cours d'enregistrement (intention MySQL vote_intents) ; effacé dès la validation, voir /api/vote
+  intentId: {
+    type: String,
+    index: true,
+    sparse: true
+  },
+  // Revote en cours: intention ayant marqué ce bulletin comme remplacé (rétabli si le revote échoue)
+  supersededIntent: {
+    type: String,
+    index: true,
+    sparse: true
+  },
+  // Bulletin orphelin (aucun émargement correspondant): conservé dans l'urne mais exclu du dépouillement
+  quarantined: {
+    type: Boolean,
+    default: false
+  },
+  quarantinedAt: {
+    type: Date,
+    default: null
+  },
+  // Scrutin annulé: bulletin scellé sans déchiffrement, conservé dans l'urne et exclu de tout dépouillement
+  sealed: {
+    type: Boolean,
+    default: false
+  },
+  sealedAt: {
+    type: Date,
+    default: null
+  },
+  // Date du dernier dépouillement ayant pris ce bulletin en compte (vérification des reçus)
+  talliedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
 });
 
+// Un seul bulletin par rang et par scrutin: deux dépôts simultanés ne peuvent pas prendre le même maillon
+ballotSchema.index(
+  { electionId: 1, sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $exists: true } } }
+);
+
+// Un jeton de vote anonyme ne dépose qu'un bulletin retenu par scrutin (un bulletin en quarantaine libère le jeton)
+ballotSchema.index(
+  { electionId: 1, credentialHash: 1 },
+  { unique: true, partialFilterExpression: { credentialHash: { $exists: true }, quarantined: false } }
+);
+
 // CORRECTION : Ne bloquer que les modifications, pas la création
 ballotSchema.pre('save', function(next) {
   // Si le document existe déjà (modification) et n'est pas nouveau
@@ -11,6 +11,17 @@ import crypto from 'crypto';
 import nodemailer from 'nodemailer';
 import Ballot from './models/Ballot.js';
 import { VoteEncryption } from './utils/encryption.js';
+import { TallyEngine } from './utils/tally.js';
+import { BallotValidator } from './utils/ballotValidator.js';
+import { BallotChain } from './utils/ballotChain.js';
+import { ThresholdCrypto } from './utils/threshold.js';
+import { HomomorphicEncryption } from './utils/homomorphic.js';
+import { KeyRing } from './utils/keyring.js';
+import { IntegrityReport } from './utils/integrityReport.js';
+import { BlindSignature } from './utils/blindSignature.js';
+import { ElectionLifecycle, LifecycleError } from './utils/electionLifecycle.js';
+import { FileStorage } from './utils/fileStorage.js';
+import multer from 'multer';
 import { env } from './config/env.js';
 import { errorHandler, asyncHandler } from './middleware/errorHandler.js';
 import { PasswordValidator } from './utils/passwordValidator.js';
@@ -20,6 +31,7 @@ import {
   csvImportLimiter, 
   createAccountLimiter,
   activationLimiter,
+  receiptLimiter,
   apiLimiter 
 } from './middleware/rateLimiter.js';
 
@@ -187,60 +199,232 @@ try {
       auth: { user: smtpUser, pass: smtpPass },
     });
 
-// Archiver un scrutin
+// Archiver un scrutin (état annexe: l'état courant est mémorisé pour le désarchivage)
 app.post('/api/elections/:id/archive', authenticateToken, async (req, res) => {
   try {
     if (req.user.type !== 'admin') return res.status(403).json({ success:false, message:'Accès réservé aux administrateurs' });
     const electionId = Number(req.params.id);
     if (!electionId) return res.status(400).json({ success:false, message:'id invalide' });
-    try { await pool.execute('ALTER TABLE elections ADD COLUMN archived TINYINT(1) NOT NULL DEFAULT 0'); } catch {}
-    await pool.execute('UPDATE elections SET archived = 1 WHERE id = ?', [electionId]);
-    res.json({ success:true, message:'Scrutin archivé', electionId });
+    if (!(await assertAdminCanAccessElection(req, res, electionId))) return;
+    const transition = await transitionElection(electionId, 'archived', { actorId: req.user.id });
+    res.json({ success:true, message:'Scrutin archivé', electionId, status: transition.to });
   } catch (error) {
+    if (error instanceof LifecycleError) return res.status(error.statusCode).json({ success:false, message: error.message, status: error.from });
     res.status(500).json({ success:false, message:'Erreur archivage', error: error.message });
   }
 });
 
-// Register archive/unarchive endpoints outside of SMTP block to ensure availability
-app.post('/api/elections/:id/archive', authenticateToken, async (req, res) => {
+// Désarchiver un scrutin (retour à l'état d'avant l'archivage)
+app.post('/api/elections/:id/unarchive', authenticateToken, async (req, res) => {
   try {
     if (req.user.type !== 'admin') return res.status(403).json({ success:false, message:'Accès réservé aux administrateurs' });
     const electionId = Number(req.params.id);
     if (!electionId) return res.status(400).json({ success:false, message:'id invalide' });
-    try { await pool.execute('ALTER TABLE elections ADD COLUMN archived TINYINT(1) NOT NULL DEFAULT 0'); } catch {}
-    await pool.execute('UPDATE elections SET archived = 1 WHERE id = ?', [electionId]);
-    res.json({ success:true, message:'Scrutin archivé', electionId });
+    if (!(await assertAdminCanAccessElection(req, res, electionId))) return;
+    const [[election]] = await pool.execute('SELECT archived_from_status FROM elections WHERE id = ?', [electionId]);
+    if (!election) return res.status(404).json({ success:false, message:'Scrutin introuvable' });
+    const transition = await transitionElection(electionId, ElectionLifecycle.normalize(election.archived_from_status), { actorId: req.user.id, event: 'unarchived' });
+    res.json({ success:true, message:'Scrutin désarchivé', electionId, status: transition.to });
   } catch (error) {
-    res.status(500).json({ success:false, message:'Erreur archivage', error: error.message });
+    if (error instanceof LifecycleError) return res.status(error.statusCode).json({ success:false, message: error.message, status: error.from });
+    res.status(500).json({ success:false, message:'Erreur désarchivage', error: error.message });
   }
 });
 
-app.post('/api/elections/:id/unarchive', authenticateToken, async (req, res) => {
+// Table d'audit des décisions prises sur un scrutin (égalités, dérogations…)
+async function ensureDecisionsTable() {
+  await pool.execute(`
+    CREATE TABLE IF NOT EXISTS election_decisions (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      election_id INT NOT NULL,
+      decision_type VARCHAR(50) NOT NULL,
+      payload_json JSON,
+      decided_by INT,
+      decided_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`);
+}
+
+// Clé de données d'un scrutin, créée au premier besoin et conservée enveloppée par la clé maître active.
+// Avec keyId, exige cette clé précise (déchiffrement d'un bulletin qui l'a enregistrée)
+async function electionDataKey(electionId, keyId = null) {
+  const [[row]] = await pool.execute('SELECT * FROM election_keys WHERE election_id = ?', [electionId]);
+  if (row) {
+    if (keyId && row.key_id !== keyId) throw new Error(`Clé de données inconnue pour ce scrutin: ${keyId}`);
+    const envelope = { masterKeyId: row.master_key_id, wrappedKey: row.wrapped_key, iv: row.iv, authTag: row.auth_tag };
+    return { keyId: row.key_id, key: KeyRing.unwrap(envelope, row.key_id) };
+  }
+  if (keyId) throw new Error(`Clé de données inconnue pour ce scrutin: ${keyId}`);
+  const dataKey = KeyRing.generateDataKey();
+  const envelope = KeyRing.wrap(dataKey.key, dataKey.keyId);
   try {
-    if (req.user.type !== 'admin') return res.status(403).json({ success:false, message:'Accès réservé aux administrateurs' });
-    const electionId = Number(req.params.id);
-    if (!electionId) return res.status(400).json({ success:false, message:'id invalide' });
-    try { await pool.execute('ALTER TABLE elections ADD COLUMN archived TINYINT(1) NOT NULL DEFAULT 0'); } catch {}
-    await pool.execute('UPDATE elections SET archived = 0 WHERE id = ?', [electionId]);
-    res.json({ success:true, message:'Scrutin désarchivé', electionId });
-  } catch (error) {
-    res.status(500).json({ success:false, message:'Erreur désarchivage', error: error.message });
+    await pool.execute(
+      'INSERT INTO election_keys (key_id, election_id, master_key_id, wrapped_key, iv, auth_tag) VALUES (?, ?, ?, ?, ?, ?)',
+      [dataKey.keyId, electionId, envelope.masterKeyId, envelope.wrappedKey, envelope.iv, envelope.authTag]
+    );
+  } catch (e) {
+    // Création simultanée: on reprend la clé enregistrée par l'autre requête
+    if (e?.code === 'ER_DUP_ENTRY') return electionDataKey(electionId);
+    throw e;
   }
-});
+  return dataKey;
+}
 
-// Désarchiver un scrutin
-app.post('/api/elections/:id/unarchive', authenticateToken, async (req, res) => {
+// Chiffre une donnée d'un scrutin (bulletin, part d'assesseur, clé secrète) avec sa clé de données
+async function sealForElection(electionId, data, context) {
+  return VoteEncryption.encryptVote(data, context, await electionDataKey(electionId));
+}
+
+// Déchiffre une donnée scellée ; sans keyId (ancien format), la clé dérive de ENCRYPTION_KEY
+async function openForElection(electionId, payload, context) {
+  const dataKey = payload.keyId ? await electionDataKey(electionId, payload.keyId) : null;
+  return VoteEncryption.decryptVote(payload.encryptedData, context, payload.iv, payload.authTag, dataKey);
+}
+
+// Clé de signature aveugle d'un scrutin anonyme, créée au premier besoin (create: false pour une simple lecture)
+// @returns {{ publicKey: object, privateKey: () => Promise<string> }|null} - clé privée descellée à la demande
+async function electionBlindKey(electionId, { create = true } = {}) {
+  const [[row]] = await pool.execute('SELECT public_key, wrapped_private_key FROM election_blind_keys WHERE election_id = ?', [electionId]);
+  if (row) {
+    return {
+      publicKey: JSON.parse(row.public_key),
+      privateKey: async () => (await openForElection(electionId, JSON.parse(row.wrapped_private_key), `blind-${electionId}`)).privateKey
+    };
+  }
+  if (!create) return null;
+  const { publicKey, privateKey } = BlindSignature.generateKeyPair();
+  const sealed = await sealForElection(electionId, { privateKey }, `blind-${electionId}`);
   try {
-    if (req.user.type !== 'admin') return res.status(403).json({ success:false, message:'Accès réservé aux administrateurs' });
-    const electionId = Number(req.params.id);
-    if (!electionId) return res.status(400).json({ success:false, message:'id invalide' });
-    try { await pool.execute('ALTER TABLE elections ADD COLUMN archived TINYINT(1) NOT NULL DEFAULT 0'); } catch {}
-    await pool.execute('UPDATE elections SET archived = 0 WHERE id = ?', [electionId]);
-    res.json({ success:true, message:'Scrutin désarchivé', electionId });
-  } catch (error) {
-    res.status(500).json({ success:false, message:'Erreur désarchivage', error: error.message });
+    await pool.execute(
+      'INSERT INTO election_blind_keys (election_id, public_key, wrapped_private_key) VALUES (?, ?, ?)',
+      [electionId, JSON.stringify(publicKey), JSON.stringify(sealed)]
+    );
+  } catch (e) {
+    // Création simultanée: on reprend la clé enregistrée par l'autre requête
+    if (e?.code === 'ER_DUP_ENTRY') return electionBlindKey(electionId);
+    throw e;
   }
-});
+  return { publicKey, privateKey: async () => privateKey };
+}
+
+// results_json: objet (colonne JSON MySQL) ou chaîne (longtext MariaDB)
+function parseResultsJson(raw) {
+  if (!raw) return null;
+  if (typeof raw !== 'string') return raw;
+  try { return JSON.parse(raw); } catch { return null; }
+}
+
+function isSubsetOfTied(persisted, ids) {
+  const tiedIds = new Set((persisted?.tiedCandidates || []).map(r => String(r.candidateId)));
+  return ids.every(id => tiedIds.has(String(id)));
+}
+
+// Enregistre le résultat départagé: au niveau du scrutin ou d'une question (scrutin à plusieurs questions)
+async function saveTieResolution(electionId, root, contestId, updated, winner) {
+  if (contestId == null) {
+    await pool.execute(
+      'UPDATE election_results SET results_json = ?, winner_id = ?, winner_name = ? WHERE election_id = ?',
+      [JSON.stringify(updated), winner ? parseInt(winner.candidateId, 10) : null, winner ? winner.candidateName : null, electionId]
+    );
+    return;
+  }
+  const contests = root.contests.map(c => (String(c.contestId) === String(contestId) ? updated : c));
+  await pool.execute(
+    'UPDATE election_results SET results_json = ? WHERE election_id = ?',
+    [JSON.stringify({ ...root, contests, tie: contests.some(c => c.tie) }), electionId]
+  );
+}
+
+// Attribue les sièges disputés d'une égalité multi-sièges et met à jour les résultats persistés
+async function resolveSeatTie(electionId, root, contestId, persisted, chosenIds) {
+  const chosen = chosenIds.map(String);
+  const chosenRows = persisted.tiedCandidates
+    .filter(r => chosen.includes(String(r.candidateId)))
+    .map(r => (r.status ? { ...r, status: 'elected' } : r));
+  const winners = [...persisted.winners, ...chosenRows];
+  const updated = {
+    ...persisted,
+    list: (persisted.list || []).map(r => (chosen.includes(String(r.candidateId)) && r.status ? { ...r, status: 'elected' } : r)),
+    winners,
+    tie: false,
+    tiedCandidates: [],
+    seatsAtStake: 0,
+    tieResolvedWith: chosenRows
+  };
+  await saveTieResolution(electionId, root, contestId, updated, winners[0]);
+  return winners;
+}
+
+// Dates d'un tour suivant: fournies, sinon ouverture dans 7 jours pour la durée du tour précédent ; { error } si incohérentes
+function nextRoundDates(orig, { start_date, end_date } = {}) {
+  const startDate = start_date ? new Date(start_date) : new Date(Date.now() + 7 * 24 * 3600 * 1000);
+  const duration = new Date(orig.end_date) - new Date(orig.start_date);
+  const endDate = end_date ? new Date(end_date) : new Date(startDate.getTime() + (duration > 0 ? duration : 24 * 3600 * 1000));
+  if (Number.isNaN(startDate.getTime()) || Number.isNaN(endDate.getTime())) return { error: 'start_date / end_date invalides' };
+  const error = electionDatesError(startDate, endDate);
+  return error ? { error } : { startDate, endDate };
+}
+
+// Crée le tour suivant d'un scrutin: candidats retenus, liste électorale recopiée depuis voting_records
+// (sans émargement), assesseurs reconduits, lien vers le tour précédent. Règles du tour précédent
+// (type, majorité, assesseurs) reprises sauf celles passées en option (second tour d'une question)
+async function createNextRound(orig, { title, candidateIds, startDate, endDate, votingMethod, maxVotes, seats, createdBy, electionType = orig.election_type, majorityThreshold = orig.majority_threshold, absoluteMajority = Boolean(orig.absolute_majority) }) {
+  const [ins] = await pool.execute(
+    'INSERT INTO elections (title, description, start_date, end_date, is_public, max_votes, created_by, status, institution_id, voting_method, seats, election_type, majority_threshold, college_weights, allow_revote, min_turnout, min_valid_votes, absolute_majority, round_number, previous_round_id, trustee_threshold, encryption_scheme, anonymous_credentials) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+    [title, orig.description, startDate, endDate, orig.is_public, maxVotes, createdBy, 'scheduled', orig.institution_id || null, votingMethod, seats, electionType || 'candidates', majorityThreshold ?? null, orig.college_weights ?? null, orig.allow_revote ? 1 : 0, orig.min_turnout ?? null, orig.min_valid_votes ?? null, absoluteMajority ? 1 : 0, (orig.round_number || 1) + 1, orig.id, orig.trustee_threshold ?? null, orig.encryption_scheme || 'aes-gcm', orig.anonymous_credentials ? 1 : 0]
+  );
+  const newElectionId = ins.insertId;
+  // Assesseurs reconduits ; nouvelle clé et nouvelles parts générées à l'ouverture
+  await pool.execute('INSERT INTO election_trustees (election_id, admin_id) SELECT ?, admin_id FROM election_trustees WHERE election_id = ?', [newElectionId, orig.id]);
+  // Dates fixées: le tour suivant est planifié d'emblée (ouverture automatique)
+  await logElectionEvent(newElectionId, ElectionLifecycle.EVENT_TYPES.scheduled, { toStatus: 'scheduled', actorId: createdBy, payload: { previousRoundId: orig.id } });
+  const ids = candidateIds.map(Number);
+  const [origCandidates] = await pool.execute('SELECT id, name, description, photo_url, manifesto_url, order_position FROM candidates WHERE election_id = ?', [orig.id]);
+  for (const c of origCandidates.filter(c => ids.includes(c.id))) {
+    await pool.execute('INSERT INTO candidates (election_id, name, description, photo_url, manifesto_url, order_position) VALUES (?, ?, ?, ?, ?, ?)', [newElectionId, c.name, c.description, c.photo_url ?? null, c.manifesto_url ?? null, c.order_position]);
+  }
+  return { newElectionId, eligibleVoters: await copyElectionRoll(orig.id, newElectionId) };
+}
+
+// Recopie la liste électorale (collège, poids) sans émargement ; retourne le nombre d'électeurs
+async function copyElectionRoll(fromElectionId, toElectionId) {
+  const [roll] = await pool.execute(
+    'INSERT INTO voting_records (voter_id, election_id, has_voted, college, weight) SELECT voter_id, ?, FALSE, college, weight FROM voting_records WHERE election_id = ?',
+    [toElectionId, fromElectionId]
+  );
+  return roll.affectedRows;
+}
+
+// Recrée un scrutin annulé à l'identique (règles, questions, candidats, assesseurs) avec sa liste électorale,
+// planifié d'emblée ; rerun_of_id pointe vers le scrutin annulé, le tour (round_number) est conservé
+async function createRerun(orig, { title, startDate, endDate, createdBy }) {
+  const [ins] = await pool.execute(
+    `INSERT INTO elections (title, description, start_date, end_date, is_public, max_votes, created_by, status, institution_id, voting_method, seats, election_type, majority_threshold, college_weights, allow_revote, min_turnout, min_valid_votes, absolute_majority, round_number, previous_round_id, trustee_threshold, encryption_scheme, anonymous_credentials, rerun_of_id)
+     SELECT ?, description, ?, ?, is_public, max_votes, ?, 'scheduled', institution_id, voting_method, seats, election_type, majority_threshold, college_weights, allow_revote, min_turnout, min_valid_votes, absolute_majority, round_number, previous_round_id, trustee_threshold, encryption_scheme, anonymous_credentials, id
+     FROM elections WHERE id = ?`,
+    [title, startDate, endDate, createdBy, orig.id]
+  );
+  const newElectionId = ins.insertId;
+  await logElectionEvent(newElectionId, ElectionLifecycle.EVENT_TYPES.scheduled, { toStatus: 'scheduled', actorId: createdBy, payload: { rerunOf: orig.id } });
+  const contestIds = new Map();
+  const [contests] = await pool.execute('SELECT * FROM election_contests WHERE election_id = ? ORDER BY order_position, id', [orig.id]);
+  for (const c of contests) {
+    const [row] = await pool.execute(
+      'INSERT INTO election_contests (election_id, title, description, voting_method, max_votes, seats, contest_type, majority_threshold, order_position) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [newElectionId, c.title, c.description, c.voting_method, c.max_votes, c.seats, c.contest_type, c.majority_threshold, c.order_position]
+    );
+    contestIds.set(c.id, row.insertId);
+  }
+  const [candidates] = await pool.execute('SELECT * FROM candidates WHERE election_id = ? ORDER BY order_position, id', [orig.id]);
+  for (const c of candidates) {
+    await pool.execute(
+      'INSERT INTO candidates (election_id, contest_id, name, description, photo_url, manifesto_url, order_position, option_role) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [newElectionId, contestIds.get(c.contest_id) ?? null, c.name, c.description, c.photo_url ?? null, c.manifesto_url ?? null, c.order_position, c.option_role ?? null]
+    );
+  }
+  // Assesseurs reconduits ; nouvelle clé et nouvelles parts générées à l'ouverture
+  await pool.execute('INSERT INTO election_trustees (election_id, admin_id) SELECT ?, admin_id FROM election_trustees WHERE election_id = ?', [newElectionId, orig.id]);
+  return { newElectionId, eligibleVoters: await copyElectionRoll(orig.id, newElectionId) };
+}
 
 // Résolution des égalités (admin)
 app.post('/api/elections/:id/tie-break', authenticateToken, async (req, res) => {
@@ -249,21 +433,39 @@ app.post('/api/elections/:id/tie-break', authenticateToken, async (req, res) =>
       return res.status(403).json({ success: false, message: 'Accès réservé aux administrateurs' });
     }
     const electionId = Number(req.params.id);
-    const { action, candidateIds, chosenCandidateId, note } = req.body || {};
+    const { action, contestId, candidateIds: requestedIds, chosenCandidateId, chosenCandidateIds, note } = req.body || {};
     if (!electionId) return res.status(400).json({ success:false, message:'election id invalide' });
     if (!['second_round','random_draw','regulatory_decision'].includes(action)) {
       return res.status(400).json({ success:false, message:'action invalide' });
     }
+    // Égalités: résultats dépouillés, pas encore proclamés
+    const [[electionState]] = await pool.execute('SELECT status FROM elections WHERE id = ?', [electionId]);
+    if (!electionState) return res.status(404).json({ success:false, message:'Scrutin non trouvé' });
+    if (!ElectionLifecycle.is(electionState.status, 'tallied')) {
+      return res.status(409).json({ success:false, message:`Résolution d'égalité impossible: scrutin ${ElectionLifecycle.normalize(electionState.status)} (dépouillé requis)`, status: ElectionLifecycle.normalize(electionState.status) });
+    }
     // S'assurer que la table d'audit existe
-    await pool.execute(`
-      CREATE TABLE IF NOT EXISTS election_decisions (
-        id INT PRIMARY KEY AUTO_INCREMENT,
-        election_id INT NOT NULL,
-        decision_type VARCHAR(50) NOT NULL,
-        payload_json JSON,
-        decided_by INT,
-        decided_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`);
+    await ensureDecisionsTable();
+
+    // Scrutin à plusieurs sièges (approval, plurality_at_large, stv): l'égalité porte sur `seatsAtStake` sièges
+    const [[resultRow]] = await pool.execute('SELECT results_json FROM election_results WHERE election_id = ? LIMIT 1', [electionId]);
+    const root = parseResultsJson(resultRow?.results_json);
+    // Scrutin à plusieurs questions: l'égalité se résout question par question (contestId)
+    let persisted = root;
+    let contest = null;
+    if (contestId != null) {
+      persisted = (root?.contests || []).find(c => String(c.contestId) === String(contestId));
+      [[contest]] = await pool.execute('SELECT * FROM election_contests WHERE id = ? AND election_id = ? LIMIT 1', [contestId, electionId]);
+      if (!persisted || !contest) return res.status(404).json({ success:false, message:'Question introuvable dans les résultats de ce scrutin' });
+    } else if (Array.isArray(root?.contests)) {
+      return res.status(400).json({ success:false, message:'contestId requis pour un scrutin à plusieurs questions' });
+    }
+    const seatTie = Boolean(persisted?.tie) && Array.isArray(persisted?.winners);
+    const seatsAtStake = seatTie ? Math.max(1, Number(persisted.seatsAtStake) || 1) : 1;
+    // À défaut de candidateIds, reprendre les ex aequo du dépouillement (ex. cycle de Condorcet non départagé par Schulze)
+    const candidateIds = Array.isArray(requestedIds)
+      ? requestedIds
+      : (persisted?.tie ? (persisted.tiedCandidates || []).map(r => Number(r.candidateId)) : undefined);
 
     if (action === 'second_round') {
       if (!Array.isArray(candidateIds) || candidateIds.length < 2) {
@@ -272,20 +474,29 @@ app.post('/api/elections/:id/tie-break', authenticateToken, async (req, res) =>
       // Cloner l'élection
       const [[orig]] = await pool.execute('SELECT * FROM elections WHERE id = ? LIMIT 1', [electionId]);
       if (!orig) return res.status(404).json({ success:false, message:'Scrutin introuvable' });
-      const [ins] = await pool.execute(
-        'INSERT INTO elections (title, description, start_date, end_date, is_public, max_votes, created_by, status, institution_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
-        [`${orig.title} — Second tour`, orig.description, orig.start_date, orig.end_date, orig.is_public, orig.max_votes, req.user.id, 'draft', orig.institution_id || null]
-      );
-      const newElectionId = ins.insertId;
-      // Copier uniquement les candidats ex aequo
-      const [origCandidates] = await pool.execute('SELECT id, name, description, order_position FROM candidates WHERE election_id = ?', [electionId]);
-      const toCopy = origCandidates.filter(c => candidateIds.includes(c.id));
-      for (const c of toCopy) {
-        await pool.execute('INSERT INTO candidates (election_id, name, description, order_position) VALUES (?, ?, ?, ?)', [newElectionId, c.name, c.description, c.order_position]);
-      }
+      // Second tour d'une question: nouveau scrutin simple avec les règles de cette question
+      const rules = contest || orig;
+      const title = contest ? `${orig.title} — ${contest.title} — Second tour` : `${orig.title} — Second tour`;
+      const seats = seatTie ? seatsAtStake : (rules.seats || 1);
+      const maxVotes = seatTie && rules.voting_method === 'plurality_at_large' ? seatsAtStake : rules.max_votes;
+      // Dates fournies ou, à défaut, ouverture dans 7 jours (dates du premier tour en général passées)
+      const dates = nextRoundDates(orig, req.body);
+      if (dates.error) return res.status(400).json({ success:false, message: dates.error });
+      // Uniquement les candidats ex aequo
+      const { newElectionId, eligibleVoters } = await createNextRound(orig, {
+        title,
+        candidateIds,
+        startDate: dates.startDate,
+        endDate: dates.endDate,
+        ...(contest && { electionType: contest.contest_type, majorityThreshold: contest.majority_threshold }),
+        votingMethod: rules.voting_method || 'plurality',
+        maxVotes,
+        seats,
+        createdBy: req.user.id
+      });
       // Journaliser
-      await pool.execute('INSERT INTO election_decisions (election_id, decision_type, payload_json, decided_by) VALUES (?, ?, ?, ?)', [electionId, 'second_round', JSON.stringify({ candidateIds, newElectionId, note: note || null }), req.user.id]);
-      return res.json({ success:true, message:'Second tour créé', newElectionId });
+      await pool.execute('INSERT INTO election_decisions (election_id, decision_type, payload_json, decided_by) VALUES (?, ?, ?, ?)', [electionId, 'second_round', JSON.stringify({ contestId: contestId ?? null, candidateIds, newElectionId, seats, eligibleVoters, note: note || null }), req.user.id]);
+      return res.json({ success:true, message:'Second tour créé', newElectionId, eligibleVoters });
     }
 
     if (action === 'random_draw') {
@@ -293,22 +504,64 @@ app.post('/api/elections/:id/tie-break', authenticateToken, async (req, res) =>
         return res.status(400).json({ success:false, message:'candidateIds (>=2) requis pour tirage' });
       }
       const seed = crypto.randomBytes(16).toString('hex');
+      if (seatTie) {
+        if (candidateIds.length <= seatsAtStake) {
+          return res.status(400).json({ success:false, message:`candidateIds doit contenir plus de ${seatsAtStake} candidat(s)` });
+        }
+        if (!isSubsetOfTied(persisted, candidateIds)) {
+          return res.status(400).json({ success:false, message:'candidateIds doit être choisi parmi les ex aequo' });
+        }
+        // Tirage sans remise de `seatsAtStake` candidats parmi les ex aequo
+        const remainingIds = candidateIds.map(Number);
+        const indexes = [];
+        const drawnIds = [];
+        for (let k = 0; k < seatsAtStake; k++) {
+          const i = crypto.randomInt(0, remainingIds.length);
+          indexes.push(i);
+          drawnIds.push(remainingIds.splice(i, 1)[0]);
+        }
+        const winners = await resolveSeatTie(electionId, root, contestId, persisted, drawnIds);
+        await pool.execute('INSERT INTO election_decisions (election_id, decision_type, payload_json, decided_by) VALUES (?, ?, ?, ?)', [electionId, 'random_draw', JSON.stringify({ contestId: contestId ?? null, candidateIds, drawnIds, seatsAtStake, seed, indexes, note: note || null }), req.user.id]);
+        return res.json({ success:true, message:'Tirage au sort effectué', drawn: drawnIds, winners });
+      }
       const index = crypto.randomInt(0, candidateIds.length);
       const winnerId = Number(candidateIds[index]);
       const [[cand]] = await pool.execute('SELECT name FROM candidates WHERE id = ? LIMIT 1', [winnerId]);
       const winnerName = cand ? cand.name : null;
-      await pool.execute('UPDATE election_results SET winner_id = ?, winner_name = ? WHERE election_id = ?', [winnerId || null, winnerName, electionId]);
-      await pool.execute('INSERT INTO election_decisions (election_id, decision_type, payload_json, decided_by) VALUES (?, ?, ?, ?)', [electionId, 'random_draw', JSON.stringify({ candidateIds, winnerId, seed, index, note: note || null }), req.user.id]);
+      if (contest) {
+        await saveTieResolution(electionId, root, contestId, { ...persisted, winner: { candidateId: String(winnerId), candidateName: winnerName }, tie: false, tiedCandidates: [] });
+      } else {
+        await pool.execute('UPDATE election_results SET winner_id = ?, winner_name = ? WHERE election_id = ?', [winnerId || null, winnerName, electionId]);
+      }
+      await pool.execute('INSERT INTO election_decisions (election_id, decision_type, payload_json, decided_by) VALUES (?, ?, ?, ?)', [electionId, 'random_draw', JSON.stringify({ contestId: contestId ?? null, candidateIds, winnerId, seed, index, note: note || null }), req.user.id]);
       return res.json({ success:true, message:'Tirage au sort effectué', winner: { id: winnerId, name: winnerName } });
     }
 
+    if (action === 'regulatory_decision' && seatTie) {
+      const chosenIds = (Array.isArray(chosenCandidateIds) ? chosenCandidateIds : [chosenCandidateId]).filter(id => id != null).map(Number);
+      if (chosenIds.length !== seatsAtStake || new Set(chosenIds).size !== chosenIds.length) {
+        return res.status(400).json({ success:false, message:`chosenCandidateIds (${seatsAtStake} candidat(s) distinct(s)) requis` });
+      }
+      if (!isSubsetOfTied(persisted, chosenIds)) {
+        return res.status(400).json({ success:false, message:'Les candidats choisis doivent figurer parmi les ex aequo' });
+      }
+      const winners = await resolveSeatTie(electionId, root, contestId, persisted, chosenIds);
+      await pool.execute('INSERT INTO election_decisions (election_id, decision_type, payload_json, decided_by) VALUES (?, ?, ?, ?)', [electionId, 'regulatory_decision', JSON.stringify({ contestId: contestId ?? null, chosenCandidateIds: chosenIds, seatsAtStake, note: note || null }), req.user.id]);
+      return res.json({ success:true, message:'Décision réglementaire enregistrée', winners });
+    }
+
     if (action === 'regulatory_decision') {
       const winnerId = Number(chosenCandidateId);
       if (!winnerId) return res.status(400).json({ success:false, message:'chosenCandidateId requis' });
-      const [[cand]] = await pool.execute('SELECT name FROM candidates WHERE id = ? LIMIT 1', [winnerId]);
+      const [[cand]] = await pool.execute('SELECT name, contest_id FROM candidates WHERE id = ? LIMIT 1', [winnerId]);
       if (!cand) return res.status(404).json({ success:false, message:'Candidat introuvable' });
-      await pool.execute('UPDATE election_results SET winner_id = ?, winner_name = ? WHERE election_id = ?', [winnerId, cand.name, electionId]);
-      await pool.execute('INSERT INTO election_decisions (election_id, decision_type, payload_json, decided_by) VALUES (?, ?, ?, ?)', [electionId, 'regulatory_decision', JSON.stringify({ chosenCandidateId: winnerId, note: note || null }), req.user.id]);
+      if (contest) {
+        if (String(cand.contest_id) !== String(contestId)) return res.status(400).json({ success:false, message:'Le candidat choisi ne relève pas de cette question' });
+        await saveTieResolution(electionId, root, contestId, { ...persisted, winner: { candidateId: String(winnerId), candidateName: cand.name }, tie: false, tiedCandidates: [] });
+      } else {
+        await pool.execute('UPDATE election_results SET winner_id = ?, winner_name = ? WHERE election_id = ?', [winnerId, cand.name, electionId]);
+      }
+      await pool.execute('INSERT INTO election_decisions (election_id, decision_type, payload_json, decided_by) VALUES (?, ?, ?, ?)', [electionId, 'regulatory_decision', JSON.stringify({ contestId: contestId ?? null, chosenCandidateId: winnerId, note: note || null }), req.user.id]);
       return res.json({ success:true, message:'Décision réglementaire enregistrée', winner: { id: winnerId, name: cand.name } });
     }
 
@@ -752,6 +1005,207 @@ app.get('/api/elections/:id/public-voters', async (req, res) => {
   }
 });
 
+// Vérification publique d'un reçu de vote: présence dans l'urne et prise en compte au dépouillement,
+// sans rien révéler du contenu du bulletin (ni blanc / nul / exprimé)
+app.get('/api/elections/:id/receipts/:receipt', receiptLimiter, async (req, res) => {
+  try {
+    const electionId = Number(req.params.id);
+    const receipt = String(req.params.receipt || '').toLowerCase();
+    if (!electionId) return res.status(400).json({ success:false, message:'election id invalide' });
+    if (!/^[a-f0-9]{64}$/.test(receipt)) return res.status(400).json({ success:false, message:'Reçu invalide' });
+
+    const ballot = await Ballot.findOne(
+      { electionId: electionId.toString(), voteHash: receipt },
+      { superseded: 1, quarantined: 1, sealed: 1, talliedAt: 1 }
+    );
+    if (!ballot) {
+      return res.status(404).json({ success:false, found:false, message:'Aucun bulletin ne correspond à ce reçu pour ce scrutin' });
+    }
+
+    // Dépouillement effectué ? (table créée au premier dépouillement)
+    let tallied = false;
+    try {
+      const [rows] = await pool.execute('SELECT updated_at FROM election_results WHERE election_id = ? LIMIT 1', [electionId]);
+      tallied = rows.length > 0;
+    } catch {}
+
+    let status = 'in_ballot_box';
+    if (ballot.superseded) status = 'superseded';
+    else if (ballot.quarantined) status = 'quarantined';
+    else if (ballot.sealed) status = 'sealed';
+    else if (tallied) status = ballot.talliedAt ? 'counted' : 'not_counted';
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      found: true,
+      electionId,
+      receipt,
+      status,
+      inBallotBox: true,
+      superseded: Boolean(ballot.superseded),
+      tallied,
+      counted: status === 'counted',
+      talliedAt: ballot.talliedAt
+    });
+  } catch (error) {
+    res.status(500).json({ success:false, message:'Erreur vérification du reçu', error: error.message });
+  }
+});
+
+// Racine publiée de l'urne chaînée (public)
+app.get('/api/elections/:id/ballot-chain', async (req, res) => {
+  try {
+    const electionId = Number(req.params.id);
+    if (!electionId) return res.status(400).json({ success:false, message:'election id invalide' });
+    const [[election]] = await pool.execute('SELECT ballot_chain_root, ballot_chain_length, ballot_chain_published_at FROM elections WHERE id = ?', [electionId]);
+    if (!election) return res.status(404).json({ success:false, message:'Scrutin non trouvé' });
+    if (!election.ballot_chain_root) return res.status(404).json({ success:false, message:'Racine non publiée (scrutin non clôturé)' });
+    res.json({ success:true, electionId, root: election.ballot_chain_root, length: election.ballot_chain_length, publishedAt: election.ballot_chain_published_at });
+  } catch (error) {
+    res.status(500).json({ success:false, message:'Erreur lecture racine', error: error.message });
+  }
+});
+
+// Audit de l'urne chaînée (admin): recalcul de la chaîne et premier maillon rompu
+app.get('/api/elections/:id/ballot-chain/audit', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.type !== 'admin') return res.status(403).json({ success:false, message:'Accès réservé aux administrateurs' });
+    const electionId = Number(req.params.id);
+    if (!electionId) return res.status(400).json({ success:false, message:'election id invalide' });
+    if (!(await assertAdminCanAccessElection(req, res, electionId))) return;
+    const [[election]] = await pool.execute('SELECT ballot_chain_root, ballot_chain_length FROM elections WHERE id = ?', [electionId]);
+    if (!election) return res.status(404).json({ success:false, message:'Scrutin non trouvé' });
+
+    const chained = await Ballot.find({ electionId: electionId.toString(), sequence: { $exists: true } })
+      .sort({ sequence: 1 })
+      .select({ electionId: 1, sequence: 1, voteHash: 1, encryptedVote: 1, revoteHash: 1, previousHash: 1, chainHash: 1 })
+      .lean();
+    // Bulletins antérieurs au chaînage ou insérés sans maillon
+    const unchained = await Ballot.countDocuments({ electionId: electionId.toString(), sequence: { $exists: false } });
+    const audit = BallotChain.verify(chained, { root: election.ballot_chain_root, length: election.ballot_chain_length });
+    res.json({ success:true, electionId, ...audit, unchainedBallots: unchained });
+  } catch (error) {
+    res.status(500).json({ success:false, message:'Erreur audit de l\'urne', error: error.message });
+  }
+});
+
+// Assesseurs d'un scrutin et état des parts (admin)
+app.get('/api/elections/:id/trustees', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.type !== 'admin') return res.status(403).json({ success:false, message:'Accès réservé aux administrateurs' });
+    const electionId = Number(req.params.id);
+    if (!(await assertAdminCanAccessElection(req, res, electionId))) return;
+    const [[election]] = await pool.execute('SELECT trustee_threshold, public_key FROM elections WHERE id = ?', [electionId]);
+    if (!election) return res.status(404).json({ success:false, message:'Scrutin non trouvé' });
+    const [rows] = await pool.execute(
+      `SELECT t.admin_id, a.full_name, t.share_index, t.public_key IS NOT NULL AS has_public_key, t.delivered_at, t.submitted_at, t.submitted_share IS NOT NULL AS submitted
+       FROM election_trustees t
+       LEFT JOIN administrators a ON a.id = t.admin_id
+       WHERE t.election_id = ?
+       ORDER BY t.id`,
+      [electionId]
+    );
+    const trustees = rows.map(r => ({ adminId: r.admin_id, name: r.full_name, shareIndex: r.share_index, publicKeyRegistered: Boolean(r.has_public_key), deliveredAt: r.delivered_at, submittedAt: r.submitted_at, submitted: Boolean(r.submitted) }));
+    res.json({
+      success:true,
+      electionId,
+      threshold: election.trustee_threshold,
+      publicKey: election.public_key,
+      submitted: trustees.filter(t => t.submitted).length,
+      trustees
+    });
+  } catch (error) {
+    res.status(500).json({ success:false, message:'Erreur liste des assesseurs', error: error.message });
+  }
+});
+
+// Enregistrement par l'assesseur de sa clé publique X25519 (base64url), avant l'ouverture: sa part lui sera chiffrée
+app.put('/api/elections/:id/trustees/me/public-key', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.type !== 'admin') return res.status(403).json({ success:false, message:'Accès réservé aux administrateurs' });
+    const electionId = Number(req.params.id);
+    const publicKey = String(req.body?.publicKey || '').trim();
+    if (!ThresholdCrypto.isPublicKey(publicKey)) {
+      return res.status(400).json({ success:false, message:'publicKey invalide (clé publique X25519, base64url)' });
+    }
+    const [[election]] = await pool.execute('SELECT status, public_key FROM elections WHERE id = ?', [electionId]);
+    if (!election) return res.status(404).json({ success:false, message:'Scrutin non trouvé' });
+    if (election.public_key || !ElectionLifecycle.is(election.status, ...ElectionLifecycle.EDITABLE)) {
+      return res.status(409).json({ success:false, message:'Parts déjà générées: clé enregistrable avant l\'ouverture uniquement', status: ElectionLifecycle.normalize(election.status) });
+    }
+    const [upd] = await pool.execute('UPDATE election_trustees SET public_key = ? WHERE election_id = ? AND admin_id = ?', [publicKey, electionId, req.user.id]);
+    if (upd.affectedRows === 0) return res.status(403).json({ success:false, message:'Vous n\'êtes pas assesseur de ce scrutin' });
+    res.json({ success:true, electionId, publicKey });
+  } catch (error) {
+    res.status(500).json({ success:false, message:'Erreur enregistrement de la clé', error: error.message });
+  }
+});
+
+// Retrait unique de sa part par l'assesseur connecté (la copie serveur est ensuite effacée)
+app.get('/api/elections/:id/trustees/me/share', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.type !== 'admin') return res.status(403).json({ success:false, message:'Accès réservé aux administrateurs' });
+    const electionId = Number(req.params.id);
+    const [[trustee]] = await pool.execute('SELECT id, share_index, pending_share, delivered_at FROM election_trustees WHERE election_id = ? AND admin_id = ?', [electionId, req.user.id]);
+    if (!trustee) return res.status(403).json({ success:false, message:'Vous n\'êtes pas assesseur de ce scrutin' });
+    if (!trustee.pending_share) {
+      return res.status(trustee.delivered_at ? 410 : 409).json({ success:false, message: trustee.delivered_at ? 'Part déjà retirée' : 'Clé non encore générée (démarrage du scrutin)' });
+    }
+    const [upd] = await pool.execute('UPDATE election_trustees SET pending_share = NULL, delivered_at = NOW() WHERE id = ? AND pending_share IS NOT NULL', [trustee.id]);
+    if (upd.affectedRows === 0) return res.status(410).json({ success:false, message:'Part déjà retirée' });
+    const wrapped = JSON.parse(trustee.pending_share);
+    await ensureDecisionsTable();
+    res.set('Cache-Control', 'no-store');
+    // Part chiffrée pour l'assesseur: remise telle quelle, à déchiffrer avec sa clé privée
+    if (wrapped.recipient === 'trustee') {
+      const { recipient, ...encryptedShare } = wrapped;
+      await pool.execute('INSERT INTO election_decisions (election_id, decision_type, payload_json, decided_by) VALUES (?, ?, ?, ?)', [electionId, 'trustee_share_delivered', JSON.stringify({ shareIndex: trustee.share_index, encryptedToTrustee: true }), req.user.id]);
+      return res.json({ success:true, electionId, encryptedShare, context: `trustee-${electionId}-${req.user.id}`, message:'Conservez cette part: elle ne sera plus affichée' });
+    }
+    const { share } = await openForElection(electionId, wrapped, `trustee-${electionId}-${req.user.id}`);
+    await pool.execute('INSERT INTO election_decisions (election_id, decision_type, payload_json, decided_by) VALUES (?, ?, ?, ?)', [electionId, 'trustee_share_delivered', JSON.stringify({ shareIndex: ThresholdCrypto.shareIndex(share) }), req.user.id]);
+    res.json({ success:true, electionId, share, message:'Conservez cette part: elle ne sera plus affichée' });
+  } catch (error) {
+    res.status(500).json({ success:false, message:'Erreur retrait de la part', error: error.message });
+  }
+});
+
+// Soumission de sa part par l'assesseur en vue du dépouillement
+app.post('/api/elections/:id/trustees/me/share', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.type !== 'admin') return res.status(403).json({ success:false, message:'Accès réservé aux administrateurs' });
+    const electionId = Number(req.params.id);
+    const share = String(req.body?.share || '').trim().toLowerCase();
+    if (!share) return res.status(400).json({ success:false, message:'share requis' });
+    // Parts recueillies seulement après la clôture: k parts permettraient sinon de déchiffrer des bulletins pendant le vote.
+    // Scrutin annulé: bulletins scellés, aucune part n'est plus recueillie
+    const [[electionState]] = await pool.execute('SELECT status FROM elections WHERE id = ?', [electionId]);
+    if (!electionState) return res.status(404).json({ success:false, message:'Scrutin non trouvé' });
+    if (!ElectionLifecycle.is(electionState.status, 'closed', 'tallied')) {
+      const current = ElectionLifecycle.normalize(electionState.status);
+      const message = current === 'cancelled'
+        ? 'Scrutin annulé: bulletins scellés, déchiffrement impossible'
+        : `Parts recueillies après la clôture uniquement (scrutin ${current})`;
+      return res.status(409).json({ success:false, message, status: current });
+    }
+    const [[trustee]] = await pool.execute('SELECT id, share_hash FROM election_trustees WHERE election_id = ? AND admin_id = ?', [electionId, req.user.id]);
+    if (!trustee) return res.status(403).json({ success:false, message:'Vous n\'êtes pas assesseur de ce scrutin' });
+    if (!trustee.share_hash || ThresholdCrypto.hashShare(share) !== trustee.share_hash) {
+      return res.status(400).json({ success:false, message:'Part invalide pour cet assesseur' });
+    }
+    const wrapped = await sealForElection(electionId, { share }, `trustee-${electionId}-${req.user.id}`);
+    await pool.execute('UPDATE election_trustees SET submitted_share = ?, submitted_at = NOW() WHERE id = ?', [JSON.stringify(wrapped), trustee.id]);
+    await ensureDecisionsTable();
+    await pool.execute('INSERT INTO election_decisions (election_id, decision_type, payload_json, decided_by) VALUES (?, ?, ?, ?)', [electionId, 'trustee_share_submitted', JSON.stringify({ shareIndex: ThresholdCrypto.shareIndex(share) }), req.user.id]);
+    const [[{ submitted }]] = await pool.execute('SELECT COUNT(*) AS submitted FROM election_trustees WHERE election_id = ? AND submitted_share IS NOT NULL', [electionId]);
+    const [[election]] = await pool.execute('SELECT trustee_threshold FROM elections WHERE id = ?', [electionId]);
+    res.json({ success:true, electionId, submitted: Number(submitted), threshold: election?.trustee_threshold ?? null });
+  } catch (error) {
+    res.status(500).json({ success:false, message:'Erreur soumission de la part', error: error.message });
+  }
+});
+
 // --- Import CSV voters (admin) --- (after body parsers)
 app.post('/api/voters/import-csv', csvImportLimiter, authenticateToken, asyncHandler(async (req, res) => {
   try {
@@ -1022,13 +1476,14 @@ app.get('/api/elections/:id/my-status', authenticateToken, async (req, res) => {
     const electionId = req.params.id;
     const voterId = req.user.id;
     const [rows] = await pool.execute(
-      'SELECT has_voted, voted_at FROM voting_records WHERE election_id = ? AND voter_id = ? LIMIT 1',
+      'SELECT has_voted, voted_at, credential_issued_at FROM voting_records WHERE election_id = ? AND voter_id = ? LIMIT 1',
       [electionId, voterId]
     );
     if (rows.length === 0) {
       return res.json({ eligible: false, hasVoted: false, votedAt: null });
     }
-    return res.json({ eligible: true, hasVoted: rows[0].has_voted === 1, votedAt: rows[0].voted_at });
+    // Vote anonyme: seule la délivrance du jeton est connue, pas son utilisation
+    return res.json({ eligible: true, hasVoted: rows[0].has_voted === 1, votedAt: rows[0].voted_at, credentialIssued: Boolean(rows[0].credential_issued_at) });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Erreur lecture statut', error: error.message });
   }
@@ -1138,16 +1593,18 @@ app.get('/api/elections/:id', authenticateToken, async (req, res) => {
     if (req.user?.type === 'admin' && req.user?.institution_id && Number(e.institution_id) !== Number(req.user.institution_id)) {
       return res.status(403).json({ success: false, message: 'Accès refusé pour cette institution' });
     }
-    let status = e.status;
-    if (!status || status === '') status = 'pending';
-    if (status === 'draft') status = 'pending';
-    if (status === 'active') status = 'ongoing';
-    if (status === 'completed') status = 'closed';
+    const status = ElectionLifecycle.normalize(e.status);
     const [candidates] = await pool.execute(
       'SELECT * FROM candidates WHERE election_id = ? ORDER BY order_position',
       [electionId]
     );
-    res.json({ ...e, status, candidates });
+    // Scrutin à plusieurs questions: chaque question liste ses propres candidats
+    const [contestRows] = await pool.execute(
+      'SELECT * FROM election_contests WHERE election_id = ? ORDER BY order_position, id',
+      [electionId]
+    );
+    const contests = contestRows.map(c => ({ ...c, candidates: candidates.filter(cand => cand.contest_id === c.id) }));
+    res.json({ ...e, status, candidates, contests });
   } catch (error) {
     console.error('Erreur scrutin par ID:', error);
     res.status(500).json({ success: false, message: 'Erreur lors de la récupération du scrutin', error: error.message });
@@ -1249,22 +1706,6 @@ app.delete('/api/voters/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Retirer un électeur de la liste éligible d'un scrutin (admin)
-app.delete('/api/elections/:id/eligible-voters/:voterId', authenticateToken, async (req, res) => {
-  try {
-    if (req.user.type !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Accès réservé aux administrateurs' });
-    }
-    const electionId = req.params.id;
-    const voterId = req.params.voterId;
-    const [del] = await pool.execute('DELETE FROM voting_records WHERE election_id = ? AND voter_id = ?', [electionId, voterId]);
-    if (del.affectedRows === 0) return res.status(404).json({ success: false, message: 'Éligibilité introuvable' });
-    res.json({ success: true, message: 'Électeur retiré du scrutin' });
-  } catch (error) {
-    res.status(500).json({ success: false, message: 'Erreur retrait électeur', error: error.message });
-  }
-});
-
 // Lister tous les administrateurs (pour assignation aux scrutins)
 app.get('/api/admins', authenticateToken, async (req, res) => {
   try {
@@ -1280,7 +1721,64 @@ app.get('/api/admins', authenticateToken, async (req, res) => {
   }
 });
 
-// Route pour clôturer un scrutin (status -> closed)
+// Trousseau de clés (super administrateur): clé maître active et nombre de scrutins enveloppés par clé maître
+app.get('/api/encryption-keys', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.type !== 'admin' || req.user.role !== 'super_admin') {
+      return res.status(403).json({ success: false, message: 'Accès réservé aux super administrateurs' });
+    }
+    const [rows] = await pool.execute('SELECT master_key_id, COUNT(*) AS elections FROM election_keys GROUP BY master_key_id');
+    res.json({
+      success: true,
+      activeKeyId: KeyRing.activeKeyId(),
+      keyIds: KeyRing.keyIds(),
+      envelopes: rows.map(r => ({ masterKeyId: r.master_key_id, elections: Number(r.elections), inKeyring: KeyRing.hasKey(r.master_key_id) }))
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Erreur lecture du trousseau', error: error.message });
+  }
+});
+
+// Rotation de la clé maître: ré-enveloppe les clés de données sous la clé active, sans toucher aux bulletins
+app.post('/api/encryption-keys/rewrap', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.type !== 'admin' || req.user.role !== 'super_admin') {
+      return res.status(403).json({ success: false, message: 'Accès réservé aux super administrateurs' });
+    }
+    const activeKeyId = KeyRing.activeKeyId();
+    const [rows] = await pool.execute('SELECT * FROM election_keys WHERE master_key_id <> ?', [activeKeyId]);
+    const rewrapped = [];
+    const failed = [];
+    await ensureDecisionsTable();
+    for (const row of rows) {
+      try {
+        const envelope = KeyRing.rewrap({ masterKeyId: row.master_key_id, wrappedKey: row.wrapped_key, iv: row.iv, authTag: row.auth_tag }, row.key_id);
+        // Condition sur l'ancienne clé maître: une rotation concurrente ne peut pas être écrasée
+        const [upd] = await pool.execute(
+          'UPDATE election_keys SET master_key_id = ?, wrapped_key = ?, iv = ?, auth_tag = ?, rewrapped_at = NOW() WHERE key_id = ? AND master_key_id = ?',
+          [envelope.masterKeyId, envelope.wrappedKey, envelope.iv, envelope.authTag, row.key_id, row.master_key_id]
+        );
+        if (upd.affectedRows === 0) continue;
+        rewrapped.push({ electionId: row.election_id, keyId: row.key_id, fromMasterKeyId: row.master_key_id });
+        await pool.execute('INSERT INTO election_decisions (election_id, decision_type, payload_json, decided_by) VALUES (?, ?, ?, ?)', [row.election_id, 'key_rewrapped', JSON.stringify({ keyId: row.key_id, fromMasterKeyId: row.master_key_id, toMasterKeyId: activeKeyId }), req.user.id]);
+      } catch (e) {
+        failed.push({ electionId: row.election_id, keyId: row.key_id, masterKeyId: row.master_key_id, error: e.message });
+      }
+    }
+    console.log('🔑 REWRAP election keys', { activeKeyId, rewrapped: rewrapped.length, failed: failed.length, by: req.user.id });
+    res.status(failed.length > 0 ? 207 : 200).json({
+      success: failed.length === 0,
+      message: failed.length === 0 ? 'Clés de données ré-enveloppées' : 'Certaines clés n\'ont pas pu être ré-enveloppées',
+      activeKeyId,
+      rewrapped,
+      failed
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Erreur rotation des clés', error: error.message });
+  }
+});
+
+// Route pour clôturer un scrutin (open -> closed)
 app.post('/api/elections/:id/close', authenticateToken, async (req, res) => {
   try {
     if (req.user.type !== 'admin') {
@@ -1292,9 +1790,12 @@ app.post('/api/elections/:id/close', authenticateToken, async (req, res) => {
     if (elections.length === 0) {
       return res.status(404).json({ success: false, message: 'Scrutin non trouvé' });
     }
-    await pool.execute('UPDATE elections SET status = ? WHERE id = ?', ['completed', electionId]);
-    res.json({ success: true, message: 'Scrutin clôturé' });
+    const { ballotChain } = await closeElection(electionId, { actorId: req.user.id });
+    res.json({ success: true, message: 'Scrutin clôturé', status: 'closed', ballotChain });
   } catch (error) {
+    if (error instanceof LifecycleError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, status: error.from });
+    }
     res.status(500).json({ success: false, message: 'Erreur lors de la clôture du scrutin', error: error.message });
   }
 });
@@ -1326,7 +1827,7 @@ app.get('/api/elections/:id/summary', authenticateToken, async (req, res) => {
     res.set('Cache-Control', 'private, max-age=30');
     res.json({
       success: true,
-      election,
+      election: { ...election, status: ElectionLifecycle.normalize(election.status) },
       totalEligible: eligible.totalEligible || 0,
       voted: voted.voted || 0
     });
@@ -1344,22 +1845,54 @@ app.delete('/api/elections/:id', authenticateToken, async (req, res) => {
     const electionId = req.params.id;
     if (!(await assertAdminCanAccessElection(req, res, electionId))) return;
 
-    const [exists] = await pool.execute('SELECT id FROM elections WHERE id = ?', [electionId]);
-    if (exists.length === 0) {
+    const [[election]] = await pool.execute('SELECT id, title, status FROM elections WHERE id = ?', [electionId]);
+    if (!election) {
       return res.status(404).json({ success: false, message: 'Scrutin non trouvé' });
     }
 
-    // Supprimer dépendances MySQL
-    await pool.execute('DELETE FROM voting_records WHERE election_id = ?', [electionId]);
-    await pool.execute('DELETE FROM candidates WHERE election_id = ?', [electionId]);
-    await pool.execute('DELETE FROM election_results WHERE election_id = ?', [electionId]);
-    await pool.execute('DELETE FROM elections WHERE id = ?', [electionId]);
+    // Bulletins et émargements ne sont jamais effacés: seul un scrutin sans aucun vote peut être supprimé
+    const [[{ signIns }]] = await pool.execute(
+      'SELECT COUNT(*) AS signIns FROM voting_records WHERE election_id = ? AND (has_voted = TRUE OR credential_issued_at IS NOT NULL)',
+      [electionId]
+    );
+    const ballots = await Ballot.countDocuments({ electionId: electionId.toString() });
+    if (!ElectionLifecycle.is(election.status, 'draft', 'scheduled', 'cancelled') || Number(signIns) > 0 || ballots > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Scrutin ouvert ou ayant reçu des votes: suppression impossible, utiliser l\'annulation (/annul) ou l\'archivage',
+        status: ElectionLifecycle.normalize(election.status)
+      });
+    }
 
-    // Supprimer bulletins Mongo
+    // Dépendances MySQL supprimées ensemble (liste électorale sans émargement, questions, assesseurs, clés).
+    // election_events et election_decisions sont conservées: trace d'audit, complétée par la décision `deletion`
+    const [media] = await pool.execute('SELECT photo_url, manifesto_url FROM candidates WHERE election_id = ?', [electionId]);
+    await ensureDecisionsTable();
+    const conn = await pool.getConnection();
     try {
-      await Ballot.deleteMany({ electionId: electionId.toString() });
-    } catch (mongoErr) {
-      console.warn('⚠️  Suppression bulletins Mongo échouée:', mongoErr.message);
+      await conn.beginTransaction();
+      // Parrainages avant les candidatures auxquelles ils se rattachent
+      await conn.execute('DELETE ce FROM candidacy_endorsements ce JOIN candidacies c ON c.id = ce.candidacy_id WHERE c.election_id = ?', [electionId]);
+      await conn.execute('DELETE FROM candidacies WHERE election_id = ?', [electionId]);
+      for (const table of ['voting_records', 'vote_intents', 'candidates', 'election_contests', 'election_trustees', 'election_keys', 'election_secrets', 'election_blind_keys', 'election_results', 'election_admins', 'election_public']) {
+        await conn.execute(`DELETE FROM ${table} WHERE election_id = ?`, [electionId]);
+      }
+      await conn.execute('DELETE FROM elections WHERE id = ?', [electionId]);
+      await conn.execute(
+        'INSERT INTO election_decisions (election_id, decision_type, payload_json, decided_by) VALUES (?, ?, ?, ?)',
+        [electionId, 'deletion', JSON.stringify({ title: election.title, status: ElectionLifecycle.normalize(election.status) }), req.user.id]
+      );
+      await conn.commit();
+    } catch (error) {
+      await conn.rollback();
+      throw error;
+    } finally {
+      conn.release();
+    }
+    // Fichiers des candidats: supprimés s'ils ne sont plus référencés (second tour, scrutin recréé)
+    for (const row of media) {
+      await releaseMedia(row.photo_url);
+      await releaseMedia(row.manifesto_url);
     }
 
     res.json({ success: true, message: 'Scrutin supprimé avec succès' });
@@ -1419,9 +1952,9 @@ app.get('/api/health', asyncHandler(async (req, res) => {
     checks.mongo = { status: false, message: error.message };
   }
 
-  // Vérifier encryption key
-  if (env.ENCRYPTION_KEY && env.ENCRYPTION_KEY.length >= 32) {
-    checks.encryption = { status: true, message: 'Clé configurée', length: env.ENCRYPTION_KEY.length };
+  // Vérifier le trousseau (clé maître active présente)
+  if (KeyRing.hasKey(KeyRing.activeKeyId())) {
+    checks.encryption = { status: true, message: 'Clé configurée', activeKeyId: KeyRing.activeKeyId(), keys: KeyRing.keyIds().length };
   }
 
   // Vérifier JWT secret
@@ -1618,7 +2151,7 @@ app.get('/api/elections/:id/eligible-voters', authenticateToken, async (req, res
     // Enforce institution scope
     if (!(await assertAdminCanAccessElection(req, res, electionId))) return;
     const [rows] = await pool.execute(
-      `SELECT v.id, v.matricule, v.full_name, v.email, v.promotion, vr.has_voted, vr.voted_at
+      `SELECT v.id, v.matricule, v.full_name, v.email, v.promotion, vr.has_voted, vr.voted_at, vr.college, vr.weight
        FROM voting_records vr
        JOIN voters v ON v.id = vr.voter_id
        WHERE vr.election_id = ?
@@ -1640,15 +2173,38 @@ app.post('/api/elections/:id/eligible-voters', authenticateToken, async (req, re
     const electionId = req.params.id;
     // Enforce institution scope
     if (!(await assertAdminCanAccessElection(req, res, electionId))) return;
-    const { voterIds } = req.body;
+    const { voterIds, college, weight } = req.body;
     if (!Array.isArray(voterIds) || voterIds.length === 0) {
       return res.status(400).json({ success: false, message: 'voterIds requis' });
     }
+    if (weight != null && !(Number(weight) > 0)) {
+      return res.status(400).json({ success: false, message: 'weight doit être un nombre > 0' });
+    }
+    // Liste électorale figée à la clôture
+    const [[election]] = await pool.execute('SELECT status, encryption_scheme, anonymous_credentials FROM elections WHERE id = ?', [electionId]);
+    if (!ElectionLifecycle.is(election.status, 'draft', 'scheduled', 'open')) {
+      return res.status(409).json({ success: false, message: `Liste électorale figée: scrutin ${ElectionLifecycle.normalize(election.status)}`, status: ElectionLifecycle.normalize(election.status) });
+    }
+    if (weight != null && Number(weight) !== 1) {
+      if (election?.encryption_scheme === 'homomorphic') {
+        return res.status(400).json({ success: false, message: 'Vote pondéré indisponible avec encryption_scheme homomorphic' });
+      }
+      if (election?.anonymous_credentials) {
+        return res.status(400).json({ success: false, message: 'Vote pondéré indisponible avec anonymous_credentials' });
+      }
+    }
     for (const voterId of voterIds) {
       await pool.execute(
         'INSERT IGNORE INTO voting_records (voter_id, election_id, has_voted) VALUES (?, ?, FALSE)',
         [voterId, electionId]
       );
+      // Collège / poids: modifiables tant que l'électeur n'a pas voté
+      if (college !== undefined || weight !== undefined) {
+        await pool.execute(
+          'UPDATE voting_records SET college = ?, weight = ? WHERE voter_id = ? AND election_id = ? AND has_voted = FALSE',
+          [college ?? null, weight ?? null, voterId, electionId]
+        );
+      }
     }
     res.json({ success: true, message: 'Électeurs ajoutés' });
   } catch (error) {
@@ -1664,14 +2220,24 @@ app.delete('/api/elections/:id/eligible-voters/:voterId', authenticateToken, asy
     }
     const electionId = req.params.id;
     const voterId = req.params.voterId;
+    if (!(await assertAdminCanAccessElection(req, res, electionId))) return;
+    // Liste électorale figée à la clôture
+    const [[election]] = await pool.execute('SELECT status FROM elections WHERE id = ?', [electionId]);
+    if (!ElectionLifecycle.is(election.status, 'draft', 'scheduled', 'open')) {
+      return res.status(409).json({ success: false, message: `Liste électorale figée: scrutin ${ElectionLifecycle.normalize(election.status)}`, status: ElectionLifecycle.normalize(election.status) });
+    }
     // Ne pas supprimer si déjà voté
     const [rows] = await pool.execute(
-      'SELECT has_voted FROM voting_records WHERE voter_id = ? AND election_id = ?',
+      'SELECT has_voted, credential_issued_at FROM voting_records WHERE voter_id = ? AND election_id = ?',
       [voterId, electionId]
     );
     if (rows.length > 0 && rows[0].has_voted) {
       return res.status(400).json({ success: false, message: 'Impossible de retirer: électeur a déjà voté' });
     }
+    // Un jeton anonyme délivré reste utilisable: l'électeur ne peut plus être retiré
+    if (rows.length > 0 && rows[0].credential_issued_at) {
+      return res.status(400).json({ success: false, message: 'Impossible de retirer: jeton de vote anonyme déjà délivré' });
+    }
     await pool.execute(
       'DELETE FROM voting_records WHERE voter_id = ? AND election_id = ?',
       [voterId, electionId]
@@ -1783,48 +2349,575 @@ async function ensureElectionInstitutionColumn() {
 }
 ensureElectionInstitutionColumn();
 
-// Route pour créer un scrutin (admin seulement)
-app.post('/api/elections', authenticateToken, async (req, res) => {
-  try {
-    if (req.user.type !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Accès réservé aux administrateurs'
-      });
-    }
-
-    const { title, description, start_date, end_date, is_public, max_votes, candidates } = req.body;
-
-    if (!title || !start_date || !end_date) {
-      return res.status(400).json({
-        success: false,
-        message: 'Titre, date de début et date de fin sont requis'
-      });
-    }
-
-    // Créer l'élection
-    const [result] = await pool.execute(
-      'INSERT INTO elections (title, description, start_date, end_date, is_public, max_votes, created_by, status, institution_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
-      [title, description, start_date, end_date, is_public || false, max_votes || 1, req.user.id, 'draft', req.user.institution_id || null]
-    );
-
-    const electionId = result.insertId;
-
-    // Ajouter les candidats si fournis
-    if (candidates && candidates.length > 0) {
-      for (const candidate of candidates) {
-        await pool.execute(
-          'INSERT INTO candidates (election_id, name, description, order_position) VALUES (?, ?, ?, ?)',
-          [electionId, candidate.name, candidate.description, candidate.order_position || candidate.order || 0]
-        );
+// Ajoute les colonnes manquantes d'une table (migration légère idempotente)
+async function ensureColumns(table, columns) {
+  for (const [name, definition] of columns) {
+    try {
+      const [cols] = await pool.query(`SHOW COLUMNS FROM ${table} LIKE '${name}'`);
+      if (cols.length === 0) {
+        await pool.execute(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
       }
+    } catch (e) {
+      console.warn(`⚠️  ALTER ${table} ADD ${name}:`, e.message);
     }
+  }
+}
 
-    res.json({
-      success: true,
-      message: 'Scrutin créé avec succès',
-      electionId: electionId
-    });
+// Migration légère: règles de vote par scrutin (méthode de décompte, nombre de sièges, type de scrutin)
+async function ensureElectionVotingColumns() {
+  await ensureColumns('elections', [
+    ['voting_method', "VARCHAR(32) NOT NULL DEFAULT 'plurality'"],
+    ['seats', 'INT NOT NULL DEFAULT 1'],
+    ['election_type', "VARCHAR(32) NOT NULL DEFAULT 'candidates'"],
+    ['majority_threshold', 'VARCHAR(16) NULL'],
+  ]);
+  // Vote pondéré: poids par collège électoral (JSON { college: poids })
+  await ensureColumns('elections', [
+    ['college_weights', 'TEXT NULL'],
+    ['allow_revote', 'TINYINT(1) NOT NULL DEFAULT 0'],
+    // Quorum: participation minimale (% des inscrits) et suffrages exprimés minimum
+    ['min_turnout', 'DECIMAL(5,2) NULL'],
+    ['min_valid_votes', 'INT NULL'],
+    // Majorité absolue requise au premier tour ; chaînage des tours
+    ['absolute_majority', 'TINYINT(1) NOT NULL DEFAULT 0'],
+    ['round_number', 'INT NOT NULL DEFAULT 1'],
+    ['previous_round_id', 'INT NULL'],
+    // Urne chaînée: racine publiée à la clôture
+    ['ballot_chain_root', 'CHAR(64) NULL'],
+    ['ballot_chain_length', 'INT NULL'],
+    ['ballot_chain_published_at', 'TIMESTAMP NULL'],
+    // Déchiffrement à seuil: k parts requises, clé publique X25519 générée au démarrage
+    ['trustee_threshold', 'INT NULL'],
+    ['public_key', 'VARCHAR(64) NULL'],
+    // Chiffrement des bulletins: aes-gcm (déchiffrés un par un) ou homomorphic (seules les sommes sont déchiffrées)
+    ['encryption_scheme', "VARCHAR(32) NOT NULL DEFAULT 'aes-gcm'"],
+    ['homomorphic_public_key', 'TEXT NULL'],
+    // Vote anonyme: bulletin déposé avec un jeton signé en aveugle, sans authentification de l'électeur
+    ['anonymous_credentials', 'TINYINT(1) NOT NULL DEFAULT 0'],
+    // Scrutin recréé après l'annulation d'un autre
+    ['rerun_of_id', 'INT NULL'],
+  ]);
+  // Vote pondéré: collège et poids individuel de chaque électeur inscrit (le poids individuel prime)
+  await ensureColumns('voting_records', [
+    ['college', 'VARCHAR(64) NULL'],
+    ['weight', 'DECIMAL(10,4) NULL'],
+    // Vote anonyme: délivrance du jeton (tient lieu d'émargement) et empreinte du jeton masqué signé
+    ['credential_issued_at', 'TIMESTAMP NULL'],
+    ['credential_request_hash', 'CHAR(64) NULL'],
+  ]);
+  // Référendum: rôle de chaque option (yes / no / abstain) ; scrutin multiple: question de rattachement
+  await ensureColumns('candidates', [
+    ['option_role', 'VARCHAR(16) NULL'],
+    ['contest_id', 'INT NULL'],
+    // Fichiers du candidat (utils/fileStorage.js), servis par GET /api/media/*
+    ['photo_url', 'VARCHAR(255) NULL'],
+    ['manifesto_url', 'VARCHAR(255) NULL'],
+  ]);
+  // Scrutin multiple: plusieurs questions (postes, motions) votées sur un même bulletin
+  try {
+    await pool.execute(`
+      CREATE TABLE IF NOT EXISTS election_contests (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        election_id INT NOT NULL,
+        title VARCHAR(200) NOT NULL,
+        description TEXT NULL,
+        voting_method VARCHAR(32) NOT NULL DEFAULT 'plurality',
+        max_votes INT NOT NULL DEFAULT 1,
+        seats INT NOT NULL DEFAULT 1,
+        contest_type VARCHAR(32) NOT NULL DEFAULT 'candidates',
+        majority_threshold VARCHAR(16) NULL,
+        order_position INT DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_contests_election (election_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+  } catch (e) {
+    console.warn('⚠️  Impossible de créer la table election_contests:', e.message);
+  }
+  // Assesseurs (administrateurs) détenteurs d'une part de la clé du scrutin
+  try {
+    await pool.execute(`
+      CREATE TABLE IF NOT EXISTS election_trustees (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        election_id INT NOT NULL,
+        admin_id INT NOT NULL,
+        share_index INT NULL,
+        share_hash CHAR(64) NULL,
+        pending_share TEXT NULL,
+        delivered_at TIMESTAMP NULL,
+        submitted_share TEXT NULL,
+        submitted_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_trustee (election_id, admin_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+  } catch (e) {
+    console.warn('⚠️  Impossible de créer la table election_trustees:', e.message);
+  }
+  // Clé publique X25519 de l'assesseur: sa part lui est chiffrée, illisible pour le serveur
+  await ensureColumns('election_trustees', [['public_key', 'VARCHAR(64) NULL']]);
+  // Clés secrètes des scrutins homomorphes, chiffrées, hors de la table elections (jamais renvoyées par SELECT e.*)
+  try {
+    await pool.execute(`
+      CREATE TABLE IF NOT EXISTS election_secrets (
+        election_id INT PRIMARY KEY,
+        scheme VARCHAR(32) NOT NULL,
+        wrapped_secret TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+  } catch (e) {
+    console.warn('⚠️  Impossible de créer la table election_secrets:', e.message);
+  }
+  // Clés de données des scrutins, enveloppées par une clé maître du trousseau (master_key_id)
+  try {
+    await pool.execute(`
+      CREATE TABLE IF NOT EXISTS election_keys (
+        key_id VARCHAR(64) PRIMARY KEY,
+        election_id INT NOT NULL,
+        master_key_id VARCHAR(64) NOT NULL,
+        wrapped_key VARCHAR(128) NOT NULL,
+        iv CHAR(24) NOT NULL,
+        auth_tag CHAR(32) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        rewrapped_at TIMESTAMP NULL,
+        UNIQUE KEY uq_election_key (election_id),
+        INDEX idx_election_keys_master (master_key_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+  } catch (e) {
+    console.warn('⚠️  Impossible de créer la table election_keys:', e.message);
+  }
+  // Clés RSA de signature aveugle des jetons de vote anonymes (clé privée scellée par la clé de données du scrutin)
+  try {
+    await pool.execute(`
+      CREATE TABLE IF NOT EXISTS election_blind_keys (
+        election_id INT PRIMARY KEY,
+        public_key TEXT NOT NULL,
+        wrapped_private_key TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+  } catch (e) {
+    console.warn('⚠️  Impossible de créer la table election_blind_keys:', e.message);
+  }
+  // Intentions de vote (outbox): ouvertes avec l'émargement, supprimées une fois le bulletin déposé dans l'urne
+  try {
+    await pool.execute(`
+      CREATE TABLE IF NOT EXISTS vote_intents (
+        intent_id CHAR(32) PRIMARY KEY,
+        election_id INT NOT NULL,
+        voter_id INT NULL,
+        kind VARCHAR(16) NOT NULL DEFAULT 'vote',
+        status VARCHAR(16) NOT NULL DEFAULT 'pending',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_vote_intents_election (election_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+  } catch (e) {
+    console.warn('⚠️  Impossible de créer la table vote_intents:', e.message);
+  }
+  // Journal des transitions des scrutins (ouverture, clôture), manuelles ou planifiées
+  try {
+    await pool.execute(`
+      CREATE TABLE IF NOT EXISTS election_events (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        election_id INT NOT NULL,
+        event_type VARCHAR(32) NOT NULL,
+        from_status VARCHAR(32) NULL,
+        to_status VARCHAR(32) NULL,
+        source VARCHAR(16) NOT NULL DEFAULT 'manual',
+        actor_id INT NULL,
+        payload_json JSON NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_election_events_election (election_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+  } catch (e) {
+    console.warn('⚠️  Impossible de créer la table election_events:', e.message);
+  }
+  // Candidatures: période de dépôt avant l'ouverture et parrainages requis
+  await ensureColumns('elections', [
+    ['nomination_start', 'DATETIME NULL'],
+    ['nomination_end', 'DATETIME NULL'],
+    ['endorsements_required', 'INT NOT NULL DEFAULT 0'],
+  ]);
+  try {
+    await pool.execute(`
+      CREATE TABLE IF NOT EXISTS candidacies (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        election_id INT NOT NULL,
+        contest_id INT NULL,
+        voter_id INT NOT NULL,
+        statement TEXT NOT NULL,
+        status VARCHAR(16) NOT NULL DEFAULT 'pending',
+        decision_reason TEXT NULL,
+        decided_by INT NULL,
+        decided_at TIMESTAMP NULL,
+        candidate_id INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        contest_key INT AS (IFNULL(contest_id, 0)) STORED,
+        UNIQUE KEY uq_candidacy (election_id, contest_key, voter_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    // Une candidature par électeur et par question (contest_key: contest_id, 0 pour un scrutin simple, NULL n'étant pas unique)
+    await ensureColumns('candidacies', [['contest_key', 'INT AS (IFNULL(contest_id, 0)) STORED']]);
+    const [uniqueColumns] = await pool.query("SHOW INDEX FROM candidacies WHERE Key_name = 'uq_candidacy'");
+    if (!uniqueColumns.some(c => c.Column_name === 'contest_key')) {
+      await pool.query('ALTER TABLE candidacies DROP INDEX uq_candidacy, ADD UNIQUE KEY uq_candidacy (election_id, contest_key, voter_id)');
+    }
+    await pool.execute(`
+      CREATE TABLE IF NOT EXISTS candidacy_endorsements (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        candidacy_id INT NOT NULL,
+        voter_id INT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_endorsement (candidacy_id, voter_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+  } catch (e) {
+    console.warn('⚠️  Impossible de créer les tables de candidatures:', e.message);
+  }
+  await ensureElectionStatuses();
+}
+
+// Migration légère: statuts ramenés aux états du cycle de vie (utils/electionLifecycle.js)
+async function ensureElectionStatuses() {
+  const steps = [
+    // L'ancien ENUM ne connaît pas les nouveaux états
+    ["ALTER TABLE elections MODIFY COLUMN status VARCHAR(16) NULL DEFAULT 'draft'"],
+    ["UPDATE elections SET status = 'draft' WHERE status IS NULL"],
+    ...Object.entries(ElectionLifecycle.LEGACY_STATUSES).map(([legacy, state]) => [
+      'UPDATE elections SET status = ? WHERE status = ?', [state, legacy]
+    ]),
+    // Scrutins clos déjà dépouillés (voire proclamés)
+    ["UPDATE elections e JOIN election_results r ON r.election_id = e.id SET e.status = IF(r.proclaimed = 1, 'proclaimed', 'tallied') WHERE e.status = 'closed'"],
+    ["ALTER TABLE elections MODIFY COLUMN status VARCHAR(16) NOT NULL DEFAULT 'draft'"]
+  ];
+  await ensureColumns('elections', [['archived_from_status', 'VARCHAR(16) NULL']]);
+  for (const [sql, params = []] of steps) {
+    try {
+      await pool.execute(sql, params);
+    } catch (e) {
+      console.warn('⚠️  Migration des statuts de scrutin:', e.message);
+    }
+  }
+  // Ancien drapeau elections.archived: l'archivage devient un état
+  try {
+    const [cols] = await pool.query("SHOW COLUMNS FROM elections LIKE 'archived'");
+    if (cols.length > 0) {
+      await pool.execute("UPDATE elections SET archived_from_status = status, status = 'archived', archived = 0 WHERE archived = 1 AND status <> 'archived'");
+    }
+  } catch (e) {
+    console.warn('⚠️  Migration du drapeau archived:', e.message);
+  }
+}
+const votingColumnsReady = ensureElectionVotingColumns();
+
+// Poids par collège électoral: { college: poids > 0 } ; null si absent, undefined si invalide
+function parseCollegeWeights(raw) {
+  if (raw == null || raw === '') return null;
+  let weights = raw;
+  if (typeof raw === 'string') {
+    try { weights = JSON.parse(raw); } catch { return undefined; }
+  }
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) return undefined;
+  const valid = Object.values(weights).every(w => Number.isFinite(Number(w)) && Number(w) > 0);
+  return valid ? weights : undefined;
+}
+
+// Poids effectif d'un inscrit: poids individuel, sinon poids de son collège, sinon 1
+function voterWeight(record, collegeWeights) {
+  if (record.weight != null && Number(record.weight) > 0) return Number(record.weight);
+  const collegeWeight = record.college != null ? Number(collegeWeights?.[record.college]) : NaN;
+  return collegeWeight > 0 ? collegeWeight : 1;
+}
+
+// Valide les règles de vote d'un scrutin ou d'une question (méthode, choix, sièges, type)
+// Retourne { rules } normalisées ou { error }
+function parseVotingRules(input) {
+  const voting_method = input.voting_method || 'plurality';
+  const election_type = input.election_type || 'candidates';
+  let candidates = Array.isArray(input.candidates) ? input.candidates : [];
+
+  if (!TallyEngine.METHODS.includes(voting_method)) {
+    return { error: `voting_method invalide (valeurs possibles: ${TallyEngine.METHODS.join(', ')})` };
+  }
+  const maxVotes = input.max_votes == null ? 1 : Number(input.max_votes);
+  if (!Number.isInteger(maxVotes) || maxVotes < 1) {
+    return { error: 'max_votes doit être un entier >= 1' };
+  }
+  if (!TallyEngine.isMultiChoice(voting_method) && maxVotes > 1) {
+    return { error: 'max_votes > 1 requiert voting_method approval ou plurality_at_large' };
+  }
+  // Plurinominal: autant de sièges que de choix par défaut ; approbation: un seul élu par défaut
+  const seats = input.seats == null
+    ? (voting_method === 'plurality_at_large' ? maxVotes : 1)
+    : Number(input.seats);
+  if (!Number.isInteger(seats) || seats < 1) {
+    return { error: 'seats doit être un entier >= 1' };
+  }
+
+  // Référendum / motion: question à réponses Pour / Contre / Abstention, majorité éventuellement qualifiée
+  if (!TallyEngine.ELECTION_TYPES.includes(election_type)) {
+    return { error: `election_type invalide (valeurs possibles: ${TallyEngine.ELECTION_TYPES.join(', ')})` };
+  }
+  let majority_threshold = null;
+  if (election_type === 'referendum') {
+    if (voting_method !== 'plurality' || maxVotes !== 1 || seats !== 1) {
+      return { error: 'Un référendum se vote au scrutin plurality à un seul choix' };
+    }
+    if (!TallyEngine.parseThreshold(input.majority_threshold)) {
+      return { error: 'majority_threshold invalide (ex: "1/2", "2/3", 0.6)' };
+    }
+    majority_threshold = input.majority_threshold == null ? null : String(input.majority_threshold);
+    if (candidates.length === 0) {
+      candidates = TallyEngine.DEFAULT_REFERENDUM_OPTIONS.map((o, i) => ({ ...o, order_position: i + 1 }));
+    }
+    const roles = candidates.map(c => c.role);
+    if (roles.some(r => !TallyEngine.OPTION_ROLES.includes(r)) || roles.filter(r => r === 'yes').length !== 1 || roles.filter(r => r === 'no').length !== 1) {
+      return { error: 'Options du référendum invalides: une option yes, une option no et éventuellement abstain (champ role)' };
+    }
+  }
+
+  return { rules: { voting_method, max_votes: maxVotes, seats, election_type, majority_threshold, candidates } };
+}
+
+// Quorum (min_turnout en %, min_valid_votes) ; message d'erreur, null si valide
+function quorumError({ min_turnout, min_valid_votes }) {
+  if (min_turnout != null && !(Number(min_turnout) >= 0 && Number(min_turnout) <= 100)) {
+    return 'min_turnout doit être un pourcentage entre 0 et 100';
+  }
+  if (min_valid_votes != null && !(Number.isInteger(Number(min_valid_votes)) && Number(min_valid_votes) >= 0)) {
+    return 'min_valid_votes doit être un entier >= 0';
+  }
+  return null;
+}
+
+// Période de candidature (nomination_start / nomination_end, ensemble) close au plus tard à start_date,
+// parrainages requis (endorsements_required) ; message d'erreur, null si valides
+function nominationError({ nomination_start, nomination_end, endorsements_required, start_date }) {
+  if ((nomination_start == null) !== (nomination_end == null)) {
+    return 'nomination_start et nomination_end vont ensemble';
+  }
+  if (nomination_start != null) {
+    if (!(new Date(nomination_end) > new Date(nomination_start))) return 'nomination_end doit suivre nomination_start';
+    if (new Date(nomination_end) > new Date(start_date)) return 'La période de candidature doit se terminer avant start_date';
+  }
+  if (endorsements_required != null && !(Number.isInteger(Number(endorsements_required)) && Number(endorsements_required) >= 0)) {
+    return 'endorsements_required doit être un entier >= 0';
+  }
+  return null;
+}
+
+// Compatibilité des options d'un scrutin (création, modification) ; message d'erreur, null si cohérentes
+function electionOptionsError({ rules, hasContests, hasTrustees, collegeWeights, allowRevote, absoluteMajority, encryptionScheme, anonymousCredentials }) {
+  // Majorité absolue: scrutin uninominal à un siège, second tour automatique entre les deux premiers
+  if (absoluteMajority && (hasContests || rules.voting_method !== 'plurality' || rules.election_type !== 'candidates' || rules.seats !== 1)) {
+    return 'absolute_majority requiert un scrutin plurality à un siège';
+  }
+  // Chiffrement homomorphe: décompte additif uniquement (pas de classement, de pondération ni d'assesseurs)
+  if (encryptionScheme === 'homomorphic') {
+    const additive = rules.election_type === 'referendum' || TallyEngine.ADDITIVE_METHODS.includes(rules.voting_method);
+    if (!additive || hasContests || hasTrustees || collegeWeights) {
+      return 'encryption_scheme homomorphic requiert un scrutin plurality, approval, plurality_at_large ou un référendum, sans contests, trustees ni college_weights';
+    }
+  }
+  // Vote anonyme par jetons: un bulletin par jeton, sans poids (le bulletin ne désigne plus l'électeur) ni revote
+  if (anonymousCredentials && (collegeWeights || allowRevote)) {
+    return 'anonymous_credentials est incompatible avec college_weights et allow_revote';
+  }
+  return null;
+}
+
+async function insertCandidates(electionId, contestId, rules) {
+  for (const candidate of rules.candidates) {
+    await pool.execute(
+      'INSERT INTO candidates (election_id, contest_id, name, description, order_position, option_role) VALUES (?, ?, ?, ?, ?, ?)',
+      [electionId, contestId, candidate.name, candidate.description ?? null, candidate.order_position || candidate.order || 0, rules.election_type === 'referendum' ? candidate.role : null]
+    );
+  }
+}
+
+// Sépare blancs, nuls (sélection invalide une fois déchiffrée) et suffrages exprimés, puis compte selon la méthode.
+// Un bulletin indéchiffrable n'est pas un bulletin nul: il bloque le dépouillement (voir /tally)
+function countBallots(rules, normalizedBallots, candidates) {
+  const validIds = new Set(candidates.map(c => String(c.id)));
+  const expressedBallots = [];
+  let blankVotes = 0;
+  let nullVotes = 0;
+  for (const ballot of normalizedBallots) {
+    const kind = BallotValidator.classify(ballot, validIds);
+    if (kind === 'blank') blankVotes++;
+    else if (kind === 'null') nullVotes++;
+    else expressedBallots.push(ballot);
+  }
+  const expressedVotes = expressedBallots.length;
+  // Vote pondéré: pourcentages rapportés au poids total des suffrages exprimés
+  const weighted = normalizedBallots.some(b => TallyEngine.weightOf(b) !== 1);
+  const expressedWeight = TallyEngine.totalWeight(expressedBallots);
+  const outcome = TallyEngine.count(rules.method, expressedBallots, candidates, { total: expressedWeight, seats: rules.seats, threshold: rules.threshold });
+  return { ...outcome, blankVotes, nullVotes, expressedVotes, ...(weighted && { weighted, expressedWeight }) };
+}
+
+// Décompte homomorphe à partir des sommes déchiffrées par case (bulletins aux preuves vérifiées uniquement)
+function countHomomorphicTotals(rules, totals, candidates, { verified }) {
+  const blankVotes = totals[HomomorphicEncryption.BLANK_SLOT] || 0;
+  const expressedVotes = verified - blankVotes;
+  const voteCount = {};
+  for (const c of candidates) {
+    const votes = totals[String(c.id)] || 0;
+    // Comme au décompte bulletin par bulletin, seules les options d'un référendum apparaissent sans voix
+    if (votes > 0 || rules.method === 'referendum') voteCount[String(c.id)] = votes;
+  }
+  const outcome = TallyEngine.countTotals(rules.method, voteCount, candidates, { total: expressedVotes, seats: rules.seats, threshold: rules.threshold });
+  return { ...outcome, blankVotes, nullVotes: 0, expressedVotes };
+}
+
+// Bulletin homomorphe: une case par candidat plus une case vote blanc
+function homomorphicSlots(candidates) {
+  return [...candidates.map(c => String(c.id)), HomomorphicEncryption.BLANK_SLOT];
+}
+
+// Paramètres des preuves: nombre de cases cochées autorisé (exactement 1, ou 1..max_votes en choix multiples)
+function homomorphicParams(election) {
+  const maxVotes = TallyEngine.isMultiChoice(election.voting_method) ? Math.max(1, Number(election.max_votes) || 1) : 1;
+  return {
+    electionId: String(election.id),
+    publicKey: election.homomorphic_public_key,
+    allowedSums: Array.from({ length: maxVotes }, (_, i) => i + 1)
+  };
+}
+
+// Route pour créer un scrutin (admin seulement)
+app.post('/api/elections', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.type !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Accès réservé aux administrateurs'
+      });
+    }
+
+    const { title, description, start_date, end_date, is_public } = req.body;
+    const { contests } = req.body;
+
+    if (!title || !start_date || !end_date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Titre, date de début et date de fin sont requis'
+      });
+    }
+
+    // Scrutin simple: règles au niveau du scrutin ; scrutin multiple: règles par question (contests)
+    let rules;
+    let contestRules = [];
+    if (Array.isArray(contests) && contests.length > 0) {
+      if (Array.isArray(req.body.candidates) && req.body.candidates.length > 0) {
+        return res.status(400).json({ success: false, message: 'Avec contests, les candidats se déclarent par question' });
+      }
+      for (const [index, contest] of contests.entries()) {
+        if (!contest?.title) {
+          return res.status(400).json({ success: false, message: `contests[${index}].title requis` });
+        }
+        const parsed = parseVotingRules(contest);
+        if (parsed.error) {
+          return res.status(400).json({ success: false, message: `${contest.title}: ${parsed.error}` });
+        }
+        contestRules.push({ ...parsed.rules, title: contest.title, description: contest.description ?? null, order_position: contest.order_position ?? index + 1 });
+      }
+      rules = { voting_method: 'plurality', max_votes: 1, seats: 1, election_type: 'candidates', majority_threshold: null, candidates: [] };
+    } else {
+      const parsed = parseVotingRules(req.body);
+      if (parsed.error) {
+        return res.status(400).json({ success: false, message: parsed.error });
+      }
+      rules = parsed.rules;
+    }
+
+    // Quorum (ex. min_turnout: 25 pour 25 % de participation)
+    const { min_turnout, min_valid_votes } = req.body;
+    const quorumIssue = quorumError(req.body);
+    if (quorumIssue) {
+      return res.status(400).json({ success: false, message: quorumIssue });
+    }
+    const absoluteMajority = Boolean(req.body.absolute_majority);
+
+    // Assesseurs: administrateurs détenteurs d'une part de la clé, k parts requises au dépouillement
+    const trusteeIds = Array.isArray(req.body.trustees) ? [...new Set(req.body.trustees.map(Number))] : [];
+    const trusteeThreshold = trusteeIds.length > 0 ? Number(req.body.trustee_threshold ?? trusteeIds.length) : null;
+    if (trusteeIds.length > 0) {
+      if (!Number.isInteger(trusteeThreshold) || trusteeThreshold < 1 || trusteeThreshold > trusteeIds.length) {
+        return res.status(400).json({ success: false, message: 'trustee_threshold doit être compris entre 1 et le nombre d\'assesseurs' });
+      }
+      const [admins] = await pool.query('SELECT id, institution_id FROM administrators WHERE id IN (?)', [trusteeIds]);
+      const sameInstitution = (a) => !req.user.institution_id || Number(a.institution_id) === Number(req.user.institution_id);
+      if (admins.length !== trusteeIds.length || !admins.every(sameInstitution)) {
+        return res.status(400).json({ success: false, message: 'trustees: administrateurs inconnus ou hors de votre institution' });
+      }
+    }
+
+    // Vote pondéré par collège électoral (ex. { "personnels": 2, "etudiants": 1 })
+    const collegeWeights = parseCollegeWeights(req.body.college_weights);
+    if (collegeWeights === undefined) {
+      return res.status(400).json({ success: false, message: 'college_weights invalide (objet { collège: poids > 0 })' });
+    }
+
+    // Chiffrement homomorphe: décompte additif uniquement (pas de classement, de pondération ni d'assesseurs)
+    const encryptionScheme = req.body.encryption_scheme || 'aes-gcm';
+    if (!['aes-gcm', 'homomorphic'].includes(encryptionScheme)) {
+      return res.status(400).json({ success: false, message: 'encryption_scheme invalide (valeurs possibles: aes-gcm, homomorphic)' });
+    }
+    const anonymousCredentials = Boolean(req.body.anonymous_credentials);
+    const optionsIssue = electionOptionsError({
+      rules,
+      hasContests: contestRules.length > 0,
+      hasTrustees: trusteeIds.length > 0,
+      collegeWeights,
+      allowRevote: Boolean(req.body.allow_revote),
+      absoluteMajority,
+      encryptionScheme,
+      anonymousCredentials
+    });
+    if (optionsIssue) {
+      return res.status(400).json({ success: false, message: optionsIssue });
+    }
+
+    // Candidatures des électeurs (facultatif): période de dépôt close avant l'ouverture
+    const nominationIssue = nominationError(req.body);
+    if (nominationIssue) {
+      return res.status(400).json({ success: false, message: nominationIssue });
+    }
+
+    // Créer l'élection
+    const [result] = await pool.execute(
+      'INSERT INTO elections (title, description, start_date, end_date, is_public, max_votes, created_by, status, institution_id, voting_method, seats, election_type, majority_threshold, college_weights, allow_revote, min_turnout, min_valid_votes, absolute_majority, trustee_threshold, encryption_scheme, anonymous_credentials, nomination_start, nomination_end, endorsements_required) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [title, description ?? null, start_date, end_date, is_public || false, rules.max_votes, req.user.id, 'draft', req.user.institution_id || null, rules.voting_method, rules.seats, rules.election_type, rules.majority_threshold, collegeWeights ? JSON.stringify(collegeWeights) : null, req.body.allow_revote ? 1 : 0, min_turnout ?? null, min_valid_votes ?? null, absoluteMajority ? 1 : 0, trusteeThreshold, encryptionScheme, anonymousCredentials ? 1 : 0, req.body.nomination_start ?? null, req.body.nomination_end ?? null, Number(req.body.endorsements_required) || 0]
+    );
+
+    const electionId = result.insertId;
+
+    // Ajouter les candidats si fournis
+    await insertCandidates(electionId, null, rules);
+
+    // Questions d'un scrutin multiple, chacune avec ses candidats
+    for (const contest of contestRules) {
+      const [ins] = await pool.execute(
+        'INSERT INTO election_contests (election_id, title, description, voting_method, max_votes, seats, contest_type, majority_threshold, order_position) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        [electionId, contest.title, contest.description, contest.voting_method, contest.max_votes, contest.seats, contest.election_type, contest.majority_threshold, contest.order_position]
+      );
+      await insertCandidates(electionId, ins.insertId, contest);
+    }
+
+    for (const adminId of trusteeIds) {
+      await pool.execute('INSERT INTO election_trustees (election_id, admin_id) VALUES (?, ?)', [electionId, adminId]);
+    }
+
+    res.json({
+      success: true,
+      message: 'Scrutin créé avec succès',
+      electionId: electionId
+    });
 
   } catch (error) {
     console.error('Erreur création scrutin:', error);
@@ -1839,16 +2932,12 @@ app.post('/api/elections', authenticateToken, async (req, res) => {
 // Route pour lister les scrutins (retourne un tableau simple)
 app.get('/api/elections', authenticateToken, async (req, res) => {
   try {
-    // Ensure 'archived' column exists
-    try { await pool.execute('ALTER TABLE elections ADD COLUMN archived TINYINT(1) NOT NULL DEFAULT 0'); } catch {}
-
     let electionsQuery;
     let params = [];
     if (req.user?.type === 'admin') {
       // Admin: allow seeing archived via query (?archived=0/1/all). Default 0.
       const arch = (req.query.archived || '0').toString();
-      const whereArchived = arch === 'all' ? '' : ' AND e.archived = ?';
-      const archivedParam = arch === 'all' ? [] : [arch === '1' ? 1 : 0];
+      const whereArchived = arch === 'all' ? '' : (arch === '1' ? " AND e.status = 'archived'" : " AND e.status <> 'archived'");
       if (!req.user.institution_id) {
         return res.status(403).json({ success: false, message: 'Administrateur non rattaché à une institution' });
       }
@@ -1860,7 +2949,7 @@ app.get('/api/elections', authenticateToken, async (req, res) => {
         ${whereArchived}
         ORDER BY e.created_at DESC
       `;
-      params = [req.user.institution_id, ...archivedParam];
+      params = [req.user.institution_id];
     } else {
       // Pour un électeur: ne retourner que les scrutins où il est éligible
       electionsQuery = `
@@ -1868,7 +2957,7 @@ app.get('/api/elections', authenticateToken, async (req, res) => {
         FROM elections e 
         JOIN voting_records vr ON vr.election_id = e.id AND vr.voter_id = ?
         LEFT JOIN administrators a ON e.created_by = a.id 
-        WHERE e.archived = 0
+        WHERE e.status <> 'archived'
         ORDER BY e.created_at DESC
       `;
       params = [req.user.id];
@@ -1876,15 +2965,8 @@ app.get('/api/elections', authenticateToken, async (req, res) => {
 
     const [elections] = await pool.execute(electionsQuery, params);
 
-    // Normaliser les statuts pour le front
-    const normalized = elections.map((e) => {
-      let status = e.status;
-      if (!status || status === '') status = 'pending';
-      if (status === 'draft') status = 'pending';
-      if (status === 'active') status = 'ongoing';
-      if (status === 'completed') status = 'closed';
-      return { ...e, status };
-    });
+    // Statuts canoniques (voir utils/electionLifecycle.js)
+    const normalized = elections.map((e) => ({ ...e, status: ElectionLifecycle.normalize(e.status) }));
 
     // Pour chaque élection, récupérer les candidats
     const electionsWithCandidates = await Promise.all(
@@ -1907,182 +2989,1944 @@ app.get('/api/elections', authenticateToken, async (req, res) => {
       error: error.message
     });
   }
-});
+});
+
+// Route pour lister les candidats d'un scrutin
+app.get('/api/elections/:id/candidates', authenticateToken, async (req, res) => {
+  try {
+    const electionId = req.params.id;
+    // If admin, enforce institution check
+    if (req.user?.type === 'admin') {
+      const ok = await assertAdminCanAccessElection(req, res, electionId);
+      if (!ok) return; // response already sent
+    }
+    const [candidates] = await pool.execute(
+      'SELECT * FROM candidates WHERE election_id = ? ORDER BY order_position',
+      [electionId]
+    );
+
+    res.json(candidates);
+
+  } catch (error) {
+    console.error('Erreur liste candidats:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération des candidats',
+      error: error.message
+    });
+  }
+});
+
+// --- Modification d'un scrutin et de ses candidats: libre en draft / scheduled, verrouillée ensuite ;
+// seules des corrections auditées restent possibles (POST /api/elections/:id/corrections) ---
+
+const ELECTION_EDITABLE_FIELDS = ['title', 'description', 'start_date', 'end_date', 'is_public', 'voting_method', 'max_votes', 'seats', 'majority_threshold', 'min_turnout', 'min_valid_votes', 'absolute_majority', 'allow_revote', 'nomination_start', 'nomination_end', 'endorsements_required'];
+const ELECTION_RULE_FIELDS = ['voting_method', 'max_votes', 'seats', 'majority_threshold'];
+
+// Refus d'une modification hors draft / scheduled ; null si le scrutin est modifiable
+function editLockBody(election) {
+  if (ElectionLifecycle.is(election.status, ...ElectionLifecycle.EDITABLE)) return null;
+  const status = ElectionLifecycle.normalize(election.status);
+  return { success: false, message: `Scrutin verrouillé (${status}): modification impossible, passer par une correction auditée (/corrections)`, status };
+}
+
+// Question (ou scrutin simple) dont les options sont celles d'un référendum: libellés modifiables, options fixes
+function isReferendum(election, contest) {
+  return (contest ? contest.contest_type : election.election_type) === 'referendum';
+}
+
+// Exécute une modification sous le verrou du scrutin (pas d'ouverture concurrente) ;
+// fn reçoit le scrutin modifiable et retourne { status, body }
+async function editElection(electionId, res, fn) {
+  const outcome = await withElectionLock(electionId, async () => {
+    const [[election]] = await pool.execute('SELECT * FROM elections WHERE id = ?', [electionId]);
+    if (!election) return { status: 404, body: { success: false, message: 'Scrutin non trouvé' } };
+    const locked = editLockBody(election);
+    if (locked) return { status: 409, body: locked };
+    return fn(election);
+  });
+  res.status(outcome.status).json(outcome.body);
+}
+
+// Modifier un scrutin avant son ouverture (champs fournis uniquement)
+app.patch('/api/elections/:id', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.type !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Accès réservé aux administrateurs' });
+    }
+    const electionId = req.params.id;
+    if (!(await assertAdminCanAccessElection(req, res, electionId))) return;
+    const changes = req.body || {};
+    const unknown = Object.keys(changes).filter(field => !ELECTION_EDITABLE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      return res.status(400).json({ success: false, message: `Champs non modifiables: ${unknown.join(', ')} (recréer le scrutin)` });
+    }
+    if ('title' in changes && !String(changes.title || '').trim()) {
+      return res.status(400).json({ success: false, message: 'Titre requis' });
+    }
+
+    await editElection(electionId, res, async (election) => {
+      const [contests] = await pool.execute('SELECT id FROM election_contests WHERE election_id = ?', [electionId]);
+      if (contests.length > 0 && ELECTION_RULE_FIELDS.some(field => field in changes)) {
+        return { status: 400, body: { success: false, message: 'Scrutin à plusieurs questions: les règles de vote se fixent par question' } };
+      }
+      const merged = { ...election, ...changes };
+      const [options] = await pool.execute('SELECT option_role FROM candidates WHERE election_id = ? AND contest_id IS NULL', [electionId]);
+      const parsed = parseVotingRules({ ...merged, candidates: options.map(c => ({ role: c.option_role })) });
+      if (parsed.error) return { status: 400, body: { success: false, message: parsed.error } };
+      const datesIssue = ElectionLifecycle.is(election.status, 'scheduled')
+        ? electionDatesError(merged.start_date, merged.end_date)
+        : (new Date(merged.end_date) > new Date(merged.start_date) ? null : 'end_date doit suivre start_date');
+      const [[{ trustees }]] = await pool.execute('SELECT COUNT(*) AS trustees FROM election_trustees WHERE election_id = ?', [electionId]);
+      const issue = datesIssue || quorumError(merged) || nominationError(merged) || electionOptionsError({
+        rules: parsed.rules,
+        hasContests: contests.length > 0,
+        hasTrustees: Number(trustees) > 0,
+        collegeWeights: parseCollegeWeights(election.college_weights),
+        allowRevote: Boolean(merged.allow_revote),
+        absoluteMajority: Boolean(merged.absolute_majority),
+        encryptionScheme: election.encryption_scheme,
+        anonymousCredentials: Boolean(election.anonymous_credentials)
+      });
+      if (issue) return { status: 400, body: { success: false, message: issue } };
+
+      const { rules } = parsed;
+      await pool.execute(
+        'UPDATE elections SET title = ?, description = ?, start_date = ?, end_date = ?, is_public = ?, voting_method = ?, max_votes = ?, seats = ?, majority_threshold = ?, min_turnout = ?, min_valid_votes = ?, absolute_majority = ?, allow_revote = ?, nomination_start = ?, nomination_end = ?, endorsements_required = ? WHERE id = ?',
+        [String(merged.title).trim(), merged.description ?? null, merged.start_date, merged.end_date, merged.is_public ? 1 : 0, rules.voting_method, rules.max_votes, rules.seats, rules.majority_threshold, merged.min_turnout ?? null, merged.min_valid_votes ?? null, merged.absolute_majority ? 1 : 0, merged.allow_revote ? 1 : 0, merged.nomination_start ?? null, merged.nomination_end ?? null, Number(merged.endorsements_required) || 0, electionId]
+      );
+      const [[updated]] = await pool.execute('SELECT * FROM elections WHERE id = ?', [electionId]);
+      return { status: 200, body: { success: true, message: 'Scrutin modifié', election: { ...updated, status: ElectionLifecycle.normalize(updated.status) } } };
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Erreur modification du scrutin', error: error.message });
+  }
+});
+
+// Ajouter un candidat avant l'ouverture (body { name, description?, order_position?, contest_id? })
+app.post('/api/elections/:id/candidates', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.type !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Accès réservé aux administrateurs' });
+    }
+    const electionId = req.params.id;
+    if (!(await assertAdminCanAccessElection(req, res, electionId))) return;
+    const name = String(req.body?.name || '').trim();
+    if (!name) return res.status(400).json({ success: false, message: 'name requis' });
+    const contestId = req.body.contest_id ?? null;
+
+    await editElection(electionId, res, async (election) => {
+      const [contests] = await pool.execute('SELECT id, contest_type FROM election_contests WHERE election_id = ?', [electionId]);
+      const contest = contests.find(c => String(c.id) === String(contestId)) || null;
+      if (contests.length > 0 ? !contest : contestId != null) {
+        return { status: 400, body: { success: false, message: contests.length > 0 ? 'contest_id requis (question de ce scrutin)' : 'contest_id invalide pour un scrutin simple' } };
+      }
+      if (isReferendum(election, contest)) {
+        return { status: 400, body: { success: false, message: 'Options d\'un référendum fixes: seuls leurs libellés sont modifiables' } };
+      }
+      let orderPosition = req.body.order_position;
+      if (orderPosition == null) {
+        const [[{ last }]] = await pool.execute('SELECT MAX(order_position) AS last FROM candidates WHERE election_id = ? AND contest_id <=> ?', [electionId, contest?.id ?? null]);
+        orderPosition = (Number(last) || 0) + 1;
+      }
+      const [ins] = await pool.execute(
+        'INSERT INTO candidates (election_id, contest_id, name, description, order_position) VALUES (?, ?, ?, ?, ?)',
+        [electionId, contest?.id ?? null, name, req.body.description ?? null, Number(orderPosition) || 0]
+      );
+      const [[candidate]] = await pool.execute('SELECT * FROM candidates WHERE id = ?', [ins.insertId]);
+      return { status: 201, body: { success: true, message: 'Candidat ajouté', candidate } };
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Erreur ajout du candidat', error: error.message });
+  }
+});
+
+// Réordonner les candidats (body { candidateIds, contestId? }: tous les candidats du scrutin ou de la question)
+app.put('/api/elections/:id/candidates/order', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.type !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Accès réservé aux administrateurs' });
+    }
+    const electionId = req.params.id;
+    if (!(await assertAdminCanAccessElection(req, res, electionId))) return;
+    const candidateIds = Array.isArray(req.body?.candidateIds) ? req.body.candidateIds.map(Number) : null;
+    if (!candidateIds || candidateIds.length === 0) {
+      return res.status(400).json({ success: false, message: 'candidateIds (tableau) requis' });
+    }
+    const contestId = req.body.contestId ?? null;
+
+    await editElection(electionId, res, async () => {
+      const [candidates] = await pool.execute('SELECT id FROM candidates WHERE election_id = ? AND contest_id <=> ?', [electionId, contestId]);
+      const expected = candidates.map(c => c.id).sort((a, b) => a - b);
+      const given = [...candidateIds].sort((a, b) => a - b);
+      if (given.length !== expected.length || given.some((id, i) => id !== expected[i])) {
+        return { status: 400, body: { success: false, message: 'candidateIds doit lister chaque candidat de la question une seule fois' } };
+      }
+      for (const [index, candidateId] of candidateIds.entries()) {
+        await pool.execute('UPDATE candidates SET order_position = ? WHERE id = ? AND election_id = ?', [index + 1, candidateId, electionId]);
+      }
+      return { status: 200, body: { success: true, message: 'Ordre des candidats enregistré', candidateIds } };
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Erreur réordonnancement des candidats', error: error.message });
+  }
+});
+
+// Modifier un candidat avant l'ouverture (body { name?, description?, order_position? })
+app.patch('/api/elections/:id/candidates/:candidateId', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.type !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Accès réservé aux administrateurs' });
+    }
+    const electionId = req.params.id;
+    if (!(await assertAdminCanAccessElection(req, res, electionId))) return;
+    const changes = req.body || {};
+    const unknown = Object.keys(changes).filter(field => !['name', 'description', 'order_position'].includes(field));
+    if (unknown.length > 0) {
+      return res.status(400).json({ success: false, message: `Champs non modifiables: ${unknown.join(', ')}` });
+    }
+    if ('name' in changes && !String(changes.name || '').trim()) {
+      return res.status(400).json({ success: false, message: 'name requis' });
+    }
+
+    await editElection(electionId, res, async () => {
+      const [[candidate]] = await pool.execute('SELECT * FROM candidates WHERE id = ? AND election_id = ?', [req.params.candidateId, electionId]);
+      if (!candidate) return { status: 404, body: { success: false, message: 'Candidat introuvable dans ce scrutin' } };
+      const merged = { ...candidate, ...changes };
+      await pool.execute(
+        'UPDATE candidates SET name = ?, description = ?, order_position = ? WHERE id = ?',
+        [String(merged.name).trim(), merged.description ?? null, Number(merged.order_position) || 0, candidate.id]
+      );
+      const [[updated]] = await pool.execute('SELECT * FROM candidates WHERE id = ?', [candidate.id]);
+      return { status: 200, body: { success: true, message: 'Candidat modifié', candidate: updated } };
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Erreur modification du candidat', error: error.message });
+  }
+});
+
+// Retirer un candidat avant l'ouverture
+app.delete('/api/elections/:id/candidates/:candidateId', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.type !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Accès réservé aux administrateurs' });
+    }
+    const electionId = req.params.id;
+    if (!(await assertAdminCanAccessElection(req, res, electionId))) return;
+
+    await editElection(electionId, res, async (election) => {
+      const [[candidate]] = await pool.execute('SELECT * FROM candidates WHERE id = ? AND election_id = ?', [req.params.candidateId, electionId]);
+      if (!candidate) return { status: 404, body: { success: false, message: 'Candidat introuvable dans ce scrutin' } };
+      const [[contest]] = candidate.contest_id != null
+        ? await pool.execute('SELECT contest_type FROM election_contests WHERE id = ?', [candidate.contest_id])
+        : [[null]];
+      if (isReferendum(election, contest)) {
+        return { status: 400, body: { success: false, message: 'Options d\'un référendum fixes: seuls leurs libellés sont modifiables' } };
+      }
+      // Candidat issu d'une candidature validée: candidature marquée removed (nouveau dépôt possible), dans la même transaction
+      const conn = await pool.getConnection();
+      try {
+        await conn.beginTransaction();
+        await conn.execute('DELETE FROM candidates WHERE id = ?', [candidate.id]);
+        await conn.execute("UPDATE candidacies SET status = 'removed', candidate_id = NULL WHERE candidate_id = ? AND election_id = ?", [candidate.id, electionId]);
+        await conn.commit();
+      } catch (error) {
+        await conn.rollback();
+        throw error;
+      } finally {
+        conn.release();
+      }
+      await releaseMedia(candidate.photo_url);
+      await releaseMedia(candidate.manifesto_url);
+      return { status: 200, body: { success: true, message: 'Candidat retiré', candidateId: candidate.id } };
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Erreur retrait du candidat', error: error.message });
+  }
+});
+
+// --- Photos et professions de foi des candidats (multipart), stockées via utils/fileStorage.js ---
+
+const CANDIDATE_MEDIA = {
+  photo: { column: 'photo_url', types: ['image/jpeg', 'image/png', 'image/webp'], maxBytes: env.CANDIDATE_PHOTO_MAX_BYTES, label: 'Photo' },
+  manifesto: { column: 'manifesto_url', types: ['application/pdf'], maxBytes: env.CANDIDATE_MANIFESTO_MAX_BYTES, label: 'Profession de foi' }
+};
+
+// Lit en mémoire le fichier unique d'un envoi multipart ; { file } ou { status, message } en cas de refus
+function readUpload(req, res, field, maxBytes) {
+  const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: maxBytes, files: 1 } }).single(field);
+  return new Promise((resolve) => {
+    upload(req, res, (error) => {
+      if (error?.code === 'LIMIT_FILE_SIZE') return resolve({ status: 413, message: `Fichier trop volumineux (max ${Math.floor(maxBytes / 1024)} Ko)` });
+      if (error) return resolve({ status: 400, message: `Envoi invalide: ${error.message}` });
+      if (!req.file) return resolve({ status: 400, message: `Fichier requis (multipart/form-data, champ ${field})` });
+      resolve({ file: req.file });
+    });
+  });
+}
+
+// Supprime le fichier d'une URL servie par /api/media s'il n'est plus référencé (un tour suivant ou un scrutin recréé le partage)
+async function releaseMedia(url) {
+  const key = FileStorage.keyFromUrl(url);
+  if (!key) return;
+  try {
+    const [[{ refs }]] = await pool.execute('SELECT COUNT(*) AS refs FROM candidates WHERE photo_url = ? OR manifesto_url = ?', [url, url]);
+    if (Number(refs) === 0) await FileStorage.get().remove(key);
+  } catch (e) {
+    console.warn('⚠️  Suppression du fichier candidat échouée:', e.message);
+  }
+}
+
+for (const [kind, media] of Object.entries(CANDIDATE_MEDIA)) {
+  // Déposer ou remplacer la photo / profession de foi d'un candidat avant l'ouverture (champ multipart `photo` ou `manifesto`)
+  app.put(`/api/elections/:id/candidates/:candidateId/${kind}`, authenticateToken, async (req, res) => {
+    try {
+      if (req.user.type !== 'admin') {
+        return res.status(403).json({ success: false, message: 'Accès réservé aux administrateurs' });
+      }
+      const electionId = req.params.id;
+      if (!(await assertAdminCanAccessElection(req, res, electionId))) return;
+      const upload = await readUpload(req, res, kind, media.maxBytes);
+      if (upload.status) return res.status(upload.status).json({ success: false, message: upload.message });
+      const contentType = FileStorage.detectType(upload.file.buffer, media.types);
+      if (!contentType) {
+        return res.status(415).json({ success: false, message: `Type de fichier refusé (acceptés: ${media.types.join(', ')})` });
+      }
+
+      await editElection(electionId, res, async () => {
+        const [[candidate]] = await pool.execute('SELECT * FROM candidates WHERE id = ? AND election_id = ?', [req.params.candidateId, electionId]);
+        if (!candidate) return { status: 404, body: { success: false, message: 'Candidat introuvable dans ce scrutin' } };
+        const stored = await FileStorage.store(`candidates/${candidate.id}/${kind}`, upload.file.buffer, contentType);
+        await pool.execute(`UPDATE candidates SET ${media.column} = ? WHERE id = ?`, [stored.url, candidate.id]);
+        if (candidate[media.column] !== stored.url) await releaseMedia(candidate[media.column]);
+        return {
+          status: 200,
+          body: { success: true, message: `${media.label} enregistrée`, candidateId: candidate.id, [media.column]: stored.url, contentType, size: upload.file.size }
+        };
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, message: `Erreur envoi ${media.label.toLowerCase()}`, error: error.message });
+    }
+  });
+
+  // Retirer la photo / profession de foi d'un candidat avant l'ouverture
+  app.delete(`/api/elections/:id/candidates/:candidateId/${kind}`, authenticateToken, async (req, res) => {
+    try {
+      if (req.user.type !== 'admin') {
+        return res.status(403).json({ success: false, message: 'Accès réservé aux administrateurs' });
+      }
+      const electionId = req.params.id;
+      if (!(await assertAdminCanAccessElection(req, res, electionId))) return;
+
+      await editElection(electionId, res, async () => {
+        const [[candidate]] = await pool.execute('SELECT * FROM candidates WHERE id = ? AND election_id = ?', [req.params.candidateId, electionId]);
+        if (!candidate) return { status: 404, body: { success: false, message: 'Candidat introuvable dans ce scrutin' } };
+        await pool.execute(`UPDATE candidates SET ${media.column} = NULL WHERE id = ?`, [candidate.id]);
+        await releaseMedia(candidate[media.column]);
+        return { status: 200, body: { success: true, message: `${media.label} retirée`, candidateId: candidate.id } };
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, message: `Erreur retrait ${media.label.toLowerCase()}`, error: error.message });
+    }
+  });
+}
+
+// Fichiers des candidats (public, pour <img> et liens directs) : l'adresse change avec le contenu, mise en cache immuable
+app.get(/^\/api\/media\/(.+)$/, async (req, res) => {
+  try {
+    const key = req.params[0];
+    let stats = null;
+    try {
+      stats = await FileStorage.get().stat(key);
+    } catch {
+      stats = null;
+    }
+    if (!stats) return res.status(404).json({ success: false, message: 'Fichier introuvable' });
+    const contentType = FileStorage.contentTypeOf(key);
+    const etag = `"${path.basename(key, path.extname(key))}"`;
+    res.set({
+      'Content-Type': contentType,
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      ETag: etag,
+      'Last-Modified': stats.modifiedAt.toUTCString(),
+      // Affichage depuis le front (autre origine) ; helmet impose same-origin par défaut
+      'Cross-Origin-Resource-Policy': 'cross-origin'
+    });
+    if (contentType === 'application/pdf') res.set('Content-Disposition', `inline; filename="${path.basename(key)}"`);
+    if (req.headers['if-none-match'] === etag) return res.status(304).end();
+    res.set('Content-Length', String(stats.size));
+    FileStorage.get().createReadStream(key)
+      .on('error', (error) => {
+        if (!res.headersSent) res.status(500).json({ success: false, message: 'Erreur lecture du fichier', error: error.message });
+        else res.destroy(error);
+      })
+      .pipe(res);
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Erreur lecture du fichier', error: error.message });
+  }
+});
+
+// Correction auditée d'un scrutin verrouillé (open, closed, tallied): libellés, visibilité, prolongation de end_date
+// pendant le vote ; body { reason, candidateId?, changes }, journalisée dans election_decisions (correction)
+const CORRECTABLE_FIELDS = {
+  election: ['title', 'description', 'is_public', 'end_date'],
+  candidate: ['name', 'description']
+};
+
+app.post('/api/elections/:id/corrections', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.type !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Accès réservé aux administrateurs' });
+    }
+    const electionId = req.params.id;
+    if (!(await assertAdminCanAccessElection(req, res, electionId))) return;
+    const reason = String(req.body?.reason || '').trim();
+    const { candidateId = null, changes } = req.body || {};
+    const target = candidateId != null ? 'candidate' : 'election';
+    if (!reason) return res.status(400).json({ success: false, message: 'reason requis pour une correction' });
+    const fields = changes && typeof changes === 'object' ? Object.keys(changes) : [];
+    if (fields.length === 0) return res.status(400).json({ success: false, message: 'changes requis' });
+    const refused = fields.filter(field => !CORRECTABLE_FIELDS[target].includes(field));
+    if (refused.length > 0) {
+      return res.status(400).json({ success: false, message: `Champs non corrigeables (${target}): ${refused.join(', ')}` });
+    }
+    if (['title', 'name'].some(field => field in changes && !String(changes[field] || '').trim())) {
+      return res.status(400).json({ success: false, message: 'Libellé vide refusé' });
+    }
+
+    const outcome = await withElectionLock(electionId, async () => {
+      const [[election]] = await pool.execute('SELECT * FROM elections WHERE id = ?', [electionId]);
+      const status = ElectionLifecycle.normalize(election.status);
+      if (!ElectionLifecycle.is(status, ...ElectionLifecycle.CORRECTABLE)) {
+        const message = ElectionLifecycle.is(status, ...ElectionLifecycle.EDITABLE)
+          ? 'Scrutin non verrouillé: le modifier directement (PATCH)'
+          : `Correction impossible: scrutin ${status}`;
+        return { status: 409, body: { success: false, message, status } };
+      }
+      let before;
+      if (target === 'election') {
+        before = Object.fromEntries(fields.map(field => [field, election[field]]));
+        // Prolongation uniquement, pendant le vote: le planificateur clôturera à la nouvelle date
+        if ('end_date' in changes && !(status === 'open' && new Date(changes.end_date) > new Date(election.end_date))) {
+          return { status: 400, body: { success: false, message: 'end_date: prolongation d\'un scrutin ouvert uniquement' } };
+        }
+        const merged = { ...election, ...changes };
+        await pool.execute(
+          'UPDATE elections SET title = ?, description = ?, is_public = ?, end_date = ? WHERE id = ?',
+          [String(merged.title).trim(), merged.description ?? null, merged.is_public ? 1 : 0, merged.end_date, electionId]
+        );
+      } else {
+        const [[candidate]] = await pool.execute('SELECT * FROM candidates WHERE id = ? AND election_id = ?', [candidateId, electionId]);
+        if (!candidate) return { status: 404, body: { success: false, message: 'Candidat introuvable dans ce scrutin' } };
+        before = Object.fromEntries(fields.map(field => [field, candidate[field]]));
+        const merged = { ...candidate, ...changes };
+        await pool.execute('UPDATE candidates SET name = ?, description = ? WHERE id = ?', [String(merged.name).trim(), merged.description ?? null, candidate.id]);
+      }
+      const after = Object.fromEntries(fields.map(field => [field, changes[field]]));
+      await ensureDecisionsTable();
+      const [decision] = await pool.execute(
+        'INSERT INTO election_decisions (election_id, decision_type, payload_json, decided_by) VALUES (?, ?, ?, ?)',
+        [electionId, 'correction', JSON.stringify({ target, candidateId, status, before, after, reason }), req.user.id]
+      );
+      return { status: 200, body: { success: true, message: 'Correction enregistrée', correctionId: decision.insertId, target, before, after } };
+    });
+    res.status(outcome.status).json(outcome.body);
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Erreur correction du scrutin', error: error.message });
+  }
+});
+
+// Historique des corrections d'un scrutin (admin)
+app.get('/api/elections/:id/corrections', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.type !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Accès réservé aux administrateurs' });
+    }
+    const electionId = req.params.id;
+    if (!(await assertAdminCanAccessElection(req, res, electionId))) return;
+    await ensureDecisionsTable();
+    const [rows] = await pool.execute(
+      "SELECT id, payload_json, decided_by, decided_at FROM election_decisions WHERE election_id = ? AND decision_type = 'correction' ORDER BY decided_at, id",
+      [electionId]
+    );
+    const corrections = rows.map(({ payload_json, ...row }) => ({ ...row, ...parseResultsJson(payload_json) }));
+    res.json({ success: true, electionId, corrections });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Erreur lecture des corrections', error: error.message });
+  }
+});
+
+// --- Candidatures des électeurs: dépôt pendant la période de candidature, parrainages par d'autres inscrits,
+// examen par un administrateur (motif obligatoire) ; seule une candidature validée devient un candidat ---
+
+// Période de dépôt des candidatures et des parrainages ; message de refus, null si ouverte
+function nominationWindowError(election, now = new Date()) {
+  if (!election.nomination_start || !election.nomination_end) return 'Aucune période de candidature pour ce scrutin';
+  if (!ElectionLifecycle.is(election.status, ...ElectionLifecycle.EDITABLE)) return 'Scrutin ouvert: candidatures closes';
+  if (now < new Date(election.nomination_start)) return 'La période de candidature n\'est pas encore ouverte';
+  if (now > new Date(election.nomination_end)) return 'La période de candidature est terminée';
+  return null;
+}
+
+// Inscription de l'électeur courant sur la liste du scrutin ; refus (403) renvoyé sinon
+async function assertVoterEligible(req, res, electionId) {
+  if (req.user.type === 'admin') {
+    res.status(403).json({ success: false, message: 'Réservé aux électeurs inscrits' });
+    return false;
+  }
+  const [[record]] = await pool.execute('SELECT id FROM voting_records WHERE election_id = ? AND voter_id = ? LIMIT 1', [electionId, req.user.id]);
+  if (!record) {
+    res.status(403).json({ success: false, message: 'Vous n\'êtes pas inscrit sur la liste électorale de ce scrutin' });
+    return false;
+  }
+  return true;
+}
+
+// Déposer sa candidature (électeur inscrit), body { statement, contest_id? }
+app.post('/api/elections/:id/candidacies', authenticateToken, async (req, res) => {
+  try {
+    const electionId = req.params.id;
+    const statement = String(req.body?.statement || '').trim();
+    if (!statement || statement.length > 5000) {
+      return res.status(400).json({ success: false, message: 'statement requis (5000 caractères max)' });
+    }
+    const [[election]] = await pool.execute('SELECT * FROM elections WHERE id = ?', [electionId]);
+    if (!election) return res.status(404).json({ success: false, message: 'Scrutin non trouvé' });
+    if (!(await assertVoterEligible(req, res, electionId))) return;
+    const windowIssue = nominationWindowError(election);
+    if (windowIssue) return res.status(409).json({ success: false, message: windowIssue });
+
+    const contestId = req.body.contest_id ?? null;
+    const [contests] = await pool.execute('SELECT id, contest_type FROM election_contests WHERE election_id = ?', [electionId]);
+    const contest = contests.find(c => String(c.id) === String(contestId)) || null;
+    if (contests.length > 0 ? !contest : contestId != null) {
+      return res.status(400).json({ success: false, message: contests.length > 0 ? 'contest_id requis (question de ce scrutin)' : 'contest_id invalide pour un scrutin simple' });
+    }
+    if (isReferendum(election, contest)) {
+      return res.status(400).json({ success: false, message: 'Pas de candidature pour un référendum' });
+    }
+
+    // Candidature retirée (par le candidat, ou candidat supprimé par l'administration) pour la même question:
+    // reprise comme nouvelle candidature (parrainages remis à zéro)
+    let candidacyId = null;
+    const [[withdrawn]] = await pool.execute(
+      "SELECT id, status FROM candidacies WHERE election_id = ? AND contest_id <=> ? AND voter_id = ? AND status IN ('withdrawn', 'removed')",
+      [electionId, contest?.id ?? null, req.user.id]
+    );
+    if (withdrawn) {
+      await pool.execute('DELETE FROM candidacy_endorsements WHERE candidacy_id = ?', [withdrawn.id]);
+      const [resubmitted] = await pool.execute(
+        "UPDATE candidacies SET statement = ?, status = 'pending', decision_reason = NULL, decided_by = NULL, decided_at = NULL, candidate_id = NULL, created_at = NOW() WHERE id = ? AND status = ?",
+        [statement, withdrawn.id, withdrawn.status]
+      );
+      if (resubmitted.affectedRows > 0) candidacyId = withdrawn.id;
+    }
+    if (candidacyId == null) {
+      try {
+        const [ins] = await pool.execute(
+          'INSERT INTO candidacies (election_id, contest_id, voter_id, statement) VALUES (?, ?, ?, ?)',
+          [electionId, contest?.id ?? null, req.user.id, statement]
+        );
+        candidacyId = ins.insertId;
+      } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+          return res.status(409).json({ success: false, message: contest ? 'Candidature déjà déposée pour cette question' : 'Candidature déjà déposée pour ce scrutin' });
+        }
+        throw error;
+      }
+    }
+    res.status(201).json({
+      success: true,
+      message: 'Candidature déposée',
+      candidacy: { id: candidacyId, election_id: Number(electionId), contest_id: contest?.id ?? null, statement, status: 'pending', endorsements: 0, endorsementsRequired: election.endorsements_required }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Erreur dépôt de candidature', error: error.message });
+  }
+});
+
+// Candidatures d'un scrutin: toutes (admin, ?status=) ; en attente et validées, plus la sienne (électeur inscrit)
+app.get('/api/elections/:id/candidacies', authenticateToken, async (req, res) => {
+  try {
+    const electionId = req.params.id;
+    const isAdmin = req.user.type === 'admin';
+    if (isAdmin ? !(await assertAdminCanAccessElection(req, res, electionId)) : !(await assertVoterEligible(req, res, electionId))) return;
+    const [[election]] = await pool.execute('SELECT endorsements_required, nomination_start, nomination_end FROM elections WHERE id = ?', [electionId]);
+    const [rows] = await pool.execute(
+      `SELECT c.*, v.full_name, v.matricule, v.promotion,
+              (SELECT COUNT(*) FROM candidacy_endorsements ce WHERE ce.candidacy_id = c.id) AS endorsements,
+              (SELECT COUNT(*) FROM candidacy_endorsements ce WHERE ce.candidacy_id = c.id AND ce.voter_id = ?) AS endorsed_by_me
+       FROM candidacies c JOIN voters v ON v.id = c.voter_id
+       WHERE c.election_id = ?
+       ORDER BY c.created_at, c.id`,
+      [isAdmin ? 0 : req.user.id, electionId]
+    );
+    let candidacies;
+    if (isAdmin) {
+      const status = req.query.status ? String(req.query.status) : null;
+      candidacies = rows
+        .filter(r => !status || r.status === status)
+        .map(({ endorsed_by_me, ...r }) => ({ ...r, endorsements: Number(r.endorsements) }));
+    } else {
+      // Pas de matricule ni de motif d'examen pour les autres électeurs
+      candidacies = rows
+        .filter(r => ['pending', 'approved'].includes(r.status) || r.voter_id === req.user.id)
+        .map(r => ({
+          id: r.id,
+          contest_id: r.contest_id,
+          full_name: r.full_name,
+          promotion: r.promotion,
+          statement: r.statement,
+          status: r.status,
+          endorsements: Number(r.endorsements),
+          endorsedByMe: Number(r.endorsed_by_me) > 0,
+          mine: r.voter_id === req.user.id,
+          ...(r.voter_id === req.user.id && { decision_reason: r.decision_reason })
+        }));
+    }
+    res.json({
+      success: true,
+      electionId,
+      nomination: { start: election.nomination_start, end: election.nomination_end, endorsementsRequired: election.endorsements_required },
+      candidacies
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Erreur lecture des candidatures', error: error.message });
+  }
+});
+
+// Parrainer une candidature en attente (électeur inscrit, autre que le candidat), pendant la période de candidature
+app.post('/api/elections/:id/candidacies/:candidacyId/endorsements', authenticateToken, async (req, res) => {
+  try {
+    const electionId = req.params.id;
+    const [[election]] = await pool.execute('SELECT * FROM elections WHERE id = ?', [electionId]);
+    if (!election) return res.status(404).json({ success: false, message: 'Scrutin non trouvé' });
+    if (!(await assertVoterEligible(req, res, electionId))) return;
+    const windowIssue = nominationWindowError(election);
+    if (windowIssue) return res.status(409).json({ success: false, message: windowIssue });
+    const [[candidacy]] = await pool.execute('SELECT id, voter_id, status FROM candidacies WHERE id = ? AND election_id = ?', [req.params.candidacyId, electionId]);
+    if (!candidacy) return res.status(404).json({ success: false, message: 'Candidature introuvable' });
+    if (candidacy.status !== 'pending') return res.status(409).json({ success: false, message: `Candidature ${candidacy.status}: parrainage impossible` });
+    if (candidacy.voter_id === req.user.id) return res.status(400).json({ success: false, message: 'Impossible de parrainer sa propre candidature' });
+    try {
+      await pool.execute('INSERT INTO candidacy_endorsements (candidacy_id, voter_id) VALUES (?, ?)', [candidacy.id, req.user.id]);
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') return res.status(409).json({ success: false, message: 'Candidature déjà parrainée' });
+      throw error;
+    }
+    const [[{ endorsements }]] = await pool.execute('SELECT COUNT(*) AS endorsements FROM candidacy_endorsements WHERE candidacy_id = ?', [candidacy.id]);
+    res.status(201).json({ success: true, message: 'Parrainage enregistré', candidacyId: candidacy.id, endorsements: Number(endorsements), endorsementsRequired: election.endorsements_required });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Erreur parrainage', error: error.message });
+  }
+});
+
+// Retirer sa candidature tant qu'elle n'a pas été examinée
+app.delete('/api/elections/:id/candidacies/:candidacyId', authenticateToken, async (req, res) => {
+  try {
+    const electionId = req.params.id;
+    if (req.user.type === 'admin') return res.status(403).json({ success: false, message: 'Réservé au candidat' });
+    const [updated] = await pool.execute(
+      "UPDATE candidacies SET status = 'withdrawn' WHERE id = ? AND election_id = ? AND voter_id = ? AND status = 'pending'",
+      [req.params.candidacyId, electionId, req.user.id]
+    );
+    if (updated.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: 'Aucune candidature en attente à retirer' });
+    }
+    res.json({ success: true, message: 'Candidature retirée', candidacyId: Number(req.params.candidacyId) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Erreur retrait de candidature', error: error.message });
+  }
+});
+
+// Examiner une candidature (admin, avant l'ouverture): body { decision: 'approve' | 'reject', reason }.
+// Validée: parrainages suffisants, ajoutée aux candidats (nom de l'électeur, déclaration en description)
+app.post('/api/elections/:id/candidacies/:candidacyId/review', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.type !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Accès réservé aux administrateurs' });
+    }
+    const electionId = req.params.id;
+    if (!(await assertAdminCanAccessElection(req, res, electionId))) return;
+    const { decision } = req.body || {};
+    const reason = String(req.body?.reason || '').trim();
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(400).json({ success: false, message: 'decision invalide (approve ou reject)' });
+    }
+    if (!reason) return res.status(400).json({ success: false, message: 'reason requis' });
+
+    let applicant = null;
+    await editElection(electionId, res, async (election) => {
+      const [[candidacy]] = await pool.execute(
+        'SELECT c.*, v.full_name, v.email FROM candidacies c JOIN voters v ON v.id = c.voter_id WHERE c.id = ? AND c.election_id = ?',
+        [req.params.candidacyId, electionId]
+      );
+      if (!candidacy) return { status: 404, body: { success: false, message: 'Candidature introuvable' } };
+      if (candidacy.status !== 'pending') {
+        return { status: 409, body: { success: false, message: `Candidature déjà ${candidacy.status}`, status: candidacy.status } };
+      }
+      const [[{ endorsements }]] = await pool.execute('SELECT COUNT(*) AS endorsements FROM candidacy_endorsements WHERE candidacy_id = ?', [candidacy.id]);
+      if (decision === 'approve' && Number(endorsements) < Number(election.endorsements_required)) {
+        return { status: 409, body: { success: false, message: `Parrainages insuffisants (${endorsements}/${election.endorsements_required})` } };
+      }
+      const status = decision === 'approve' ? 'approved' : 'rejected';
+      // Candidat, décision et journal dans une même transaction: pas de candidat créé pour une candidature restée en attente
+      await ensureDecisionsTable();
+      let candidateId = null;
+      const conn = await pool.getConnection();
+      try {
+        await conn.beginTransaction();
+        if (decision === 'approve') {
+          const [[{ last }]] = await conn.execute('SELECT MAX(order_position) AS last FROM candidates WHERE election_id = ? AND contest_id <=> ?', [electionId, candidacy.contest_id]);
+          const [ins] = await conn.execute(
+            'INSERT INTO candidates (election_id, contest_id, name, description, order_position) VALUES (?, ?, ?, ?, ?)',
+            [electionId, candidacy.contest_id, candidacy.full_name, candidacy.statement, (Number(last) || 0) + 1]
+          );
+          candidateId = ins.insertId;
+        }
+        const [decided] = await conn.execute(
+          "UPDATE candidacies SET status = ?, decision_reason = ?, decided_by = ?, decided_at = NOW(), candidate_id = ? WHERE id = ? AND status = 'pending'",
+          [status, reason, req.user.id, candidateId, candidacy.id]
+        );
+        // Retirée entre-temps par le candidat
+        if (decided.affectedRows === 0) {
+          await conn.rollback();
+          return { status: 409, body: { success: false, message: 'Candidature retirée entre-temps' } };
+        }
+        await conn.execute(
+          'INSERT INTO election_decisions (election_id, decision_type, payload_json, decided_by) VALUES (?, ?, ?, ?)',
+          [electionId, `candidacy_${status}`, JSON.stringify({ candidacyId: candidacy.id, voterId: candidacy.voter_id, endorsements: Number(endorsements), candidateId, reason }), req.user.id]
+        );
+        await conn.commit();
+      } catch (error) {
+        await conn.rollback();
+        throw error;
+      } finally {
+        conn.release();
+      }
+      applicant = { email: candidacy.email, title: election.title, status };
+      return {
+        status: 200,
+        body: { success: true, message: status === 'approved' ? 'Candidature validée' : 'Candidature rejetée', candidacyId: candidacy.id, status, candidateId }
+      };
+    });
+
+    // Candidat prévenu de la décision (best effort, après la réponse)
+    if (applicant?.email) {
+      const verdict = applicant.status === 'approved' ? 'validée' : 'rejetée';
+      sendMail({
+        to: applicant.email,
+        subject: `VOTUX – Candidature ${verdict}: ${applicant.title}`,
+        text: `Votre candidature au scrutin « ${applicant.title} » a été ${verdict}.\nMotif: ${reason}`
+      }).catch(e => console.warn('⚠️  Envoi e-mail décision de candidature échoué:', e.message));
+    }
+  } catch (error) {
+    if (!res.headersSent) res.status(500).json({ success: false, message: 'Erreur examen de candidature', error: error.message });
+  }
+});
+
+// Route pour démarrer un scrutin (draft / scheduled -> open)
+app.post('/api/elections/:id/start', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.type !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Accès réservé aux administrateurs'
+      });
+    }
+
+    const electionId = req.params.id;
+    if (!(await assertAdminCanAccessElection(req, res, electionId))) return;
+
+    // Vérifier que l'élection existe
+    const [elections] = await pool.execute(
+      'SELECT * FROM elections WHERE id = ?',
+      [electionId]
+    );
+
+    if (elections.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scrutin non trouvé'
+      });
+    }
+
+    const { election: updated, trusteeKey, homomorphicKey } = await openElection(electionId, { actorId: req.user.id });
+    console.log('📣 START election', { electionId, by: req.user?.id });
+    res.json({ success: true, message: 'Scrutin démarré avec succès', election: updated, ...(trusteeKey && { trusteeKey }), ...(homomorphicKey && { homomorphicKey }) });
+
+  } catch (error) {
+    if (error instanceof LifecycleError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, status: error.from });
+    }
+    console.error('Erreur démarrage scrutin:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors du démarrage du scrutin',
+      error: error.message
+    });
+  }
+});
+
+// --- Transitions du cycle de vie (utils/electionLifecycle.js), journalisées dans election_events ---
+
+// Journal des transitions d'un scrutin ; source: manual (administrateur) ou scheduler
+async function logElectionEvent(electionId, eventType, { fromStatus = null, toStatus = null, source = 'manual', actorId = null, payload = null } = {}) {
+  await pool.execute(
+    'INSERT INTO election_events (election_id, event_type, from_status, to_status, source, actor_id, payload_json) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [electionId, eventType, fromStatus, toStatus, source, actorId, payload ? JSON.stringify(payload) : null]
+  );
+}
+
+/**
+ * Transition gardée: refusée (LifecycleError) si le cycle de vie ne la permet pas, puis UPDATE conditionnel
+ * sur le statut lu (une transition concurrente fait échouer celle-ci) et journalisation
+ * @returns {{ from: string, to: string }} - États canoniques
+ */
+async function transitionElection(electionId, to, { actorId = null, source = 'manual', event = ElectionLifecycle.EVENT_TYPES[to], payload = null } = {}) {
+  const [[row]] = await pool.execute('SELECT status, archived_from_status FROM elections WHERE id = ?', [electionId]);
+  if (!row) throw new LifecycleError('Scrutin non trouvé', { to, statusCode: 404 });
+  const from = ElectionLifecycle.normalize(row.status);
+  ElectionLifecycle.assertTransition(row.status, to, { archivedFrom: row.archived_from_status });
+  const [updated] = await pool.execute(
+    'UPDATE elections SET status = ?, archived_from_status = ? WHERE id = ? AND status <=> ?',
+    [to, to === 'archived' ? from : null, electionId, row.status]
+  );
+  if (updated.affectedRows === 0) {
+    throw new LifecycleError('Statut du scrutin modifié entre-temps, réessayez', { from, to });
+  }
+  await logElectionEvent(electionId, event, { fromStatus: from, toStatus: to, source, actorId, payload });
+  return { from, to };
+}
+
+// Verrou MySQL par scrutin (GET_LOCK): une seule ouverture ou clôture à la fois, y compris entre instances
+async function withElectionLock(electionId, fn) {
+  const name = `votux-election-${electionId}`;
+  const conn = await pool.getConnection();
+  try {
+    const [[{ locked }]] = await conn.query('SELECT GET_LOCK(?, 10) AS locked', [name]);
+    if (Number(locked) !== 1) throw new Error('Scrutin verrouillé par une autre opération, réessayez');
+    try {
+      return await fn();
+    } finally {
+      await conn.query('SELECT RELEASE_LOCK(?)', [name]);
+    }
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Ouvre un scrutin (draft ou scheduled): clés du scrutin (assesseurs, homomorphe) puis transition vers open.
+ * Le planificateur n'ouvre qu'un scrutin planifié ; retourne alors null si un autre l'a devancé
+ */
+async function openElection(electionId, { actorId = null, source = 'manual' } = {}) {
+  return withElectionLock(electionId, async () => {
+    const [[election]] = await pool.execute('SELECT * FROM elections WHERE id = ?', [electionId]);
+    if (source === 'scheduler' && !ElectionLifecycle.is(election?.status, 'scheduled')) return null;
+    if (!election) throw new LifecycleError('Scrutin non trouvé', { to: 'open', statusCode: 404 });
+    // Refus avant toute génération de clé
+    ElectionLifecycle.assertTransition(election.status, 'open');
+    // Démarrage manuel: période de vote déjà terminée refusée ; avant start_date, start_date est avancée à maintenant
+    // (sinon le scrutin serait ouvert mais tout vote refusé jusqu'à start_date)
+    const now = new Date();
+    let advancedStartDate = null;
+    if (source === 'manual') {
+      if (election.end_date && new Date(election.end_date) <= now) {
+        throw new LifecycleError('end_date passée: modifier les dates avant de démarrer le scrutin', { from: ElectionLifecycle.normalize(election.status), to: 'open' });
+      }
+      if (election.start_date && new Date(election.start_date) > now) advancedStartDate = now;
+    }
+
+    // Assesseurs: générer la clé du scrutin, partager la clé privée (Shamir) puis l'oublier
+    const [trustees] = await pool.execute('SELECT id, admin_id, public_key FROM election_trustees WHERE election_id = ? ORDER BY id', [electionId]);
+    let trusteeKey = null;
+    if (trustees.length > 0 && !election.public_key) {
+      const threshold = election.trustee_threshold || trustees.length;
+      const { publicKey, shares } = ThresholdCrypto.generateElectionKey(trustees.length, threshold);
+      for (const [i, trustee] of trustees.entries()) {
+        // Part chiffrée pour la clé publique de l'assesseur si elle est enregistrée ; sinon avec la clé du serveur,
+        // qui la détient alors jusqu'à son retrait unique (dépouillement bloqué tant qu'elle n'est pas retirée)
+        const context = `trustee-${electionId}-${trustee.admin_id}`;
+        const wrapped = trustee.public_key
+          ? { recipient: 'trustee', ...ThresholdCrypto.encryptShare(shares[i], trustee.public_key, context) }
+          : await sealForElection(electionId, { share: shares[i] }, context);
+        await pool.execute(
+          'UPDATE election_trustees SET share_index = ?, share_hash = ?, pending_share = ? WHERE id = ?',
+          [ThresholdCrypto.shareIndex(shares[i]), ThresholdCrypto.hashShare(shares[i]), JSON.stringify(wrapped), trustee.id]
+        );
+      }
+      await pool.execute('UPDATE elections SET public_key = ? WHERE id = ?', [publicKey, electionId]);
+      await ensureDecisionsTable();
+      await pool.execute('INSERT INTO election_decisions (election_id, decision_type, payload_json, decided_by) VALUES (?, ?, ?, ?)', [electionId, 'trustee_key_generated', JSON.stringify({ trustees: trustees.map(t => t.admin_id), threshold, publicKey, encryptedToTrustee: trustees.filter(t => t.public_key).map(t => t.admin_id) }), actorId]);
+      trusteeKey = { publicKey, trustees: trustees.length, threshold };
+    }
+
+    // Chiffrement homomorphe: paire ElGamal du scrutin, clé secrète conservée chiffrée jusqu'au dépouillement
+    let homomorphicKey = null;
+    if (election.encryption_scheme === 'homomorphic' && !election.homomorphic_public_key) {
+      const { publicKey, secretKey } = HomomorphicEncryption.generateKeyPair();
+      const wrapped = await sealForElection(electionId, { secretKey }, `homomorphic-${electionId}`);
+      await pool.execute('INSERT INTO election_secrets (election_id, scheme, wrapped_secret) VALUES (?, ?, ?)', [electionId, HomomorphicEncryption.SCHEME, JSON.stringify(wrapped)]);
+      await pool.execute('UPDATE elections SET homomorphic_public_key = ? WHERE id = ?', [publicKey, electionId]);
+      await ensureDecisionsTable();
+      await pool.execute('INSERT INTO election_decisions (election_id, decision_type, payload_json, decided_by) VALUES (?, ?, ?, ?)', [electionId, 'homomorphic_key_generated', JSON.stringify({ scheme: HomomorphicEncryption.SCHEME, publicKey }), actorId]);
+      homomorphicKey = { scheme: HomomorphicEncryption.SCHEME, publicKey };
+    }
+
+    await transitionElection(electionId, 'open', {
+      source,
+      actorId,
+      payload: {
+        startDate: advancedStartDate ?? election.start_date,
+        endDate: election.end_date,
+        ...(advancedStartDate && { scheduledStartDate: election.start_date }),
+        ...(trusteeKey && { trusteeKey: true }),
+        ...(homomorphicKey && { homomorphicKey: true })
+      }
+    });
+    if (advancedStartDate) await pool.execute('UPDATE elections SET start_date = ? WHERE id = ?', [advancedStartDate, electionId]);
+    const [[updated]] = await pool.execute('SELECT id, status, start_date, end_date FROM elections WHERE id = ?', [electionId]);
+    return { election: updated, trusteeKey, homomorphicKey };
+  });
+}
+
+/**
+ * Clôture un scrutin ouvert et publie la racine de l'urne chaînée.
+ * Le planificateur ne clôture qu'un scrutin ouvert ; retourne alors null si un autre l'a devancé
+ */
+async function closeElection(electionId, { actorId = null, source = 'manual' } = {}) {
+  return withElectionLock(electionId, async () => {
+    const [[election]] = await pool.execute('SELECT id, status, start_date, end_date FROM elections WHERE id = ?', [electionId]);
+    if (source === 'scheduler' && !ElectionLifecycle.is(election?.status, 'open')) return null;
+    const { from } = await transitionElection(electionId, 'closed', { source, actorId, payload: { endDate: election?.end_date } });
+    return { from, ballotChain: await publishBallotChain(electionId) };
+  });
+}
+
+// Publie la racine de l'urne chaînée (dernier maillon) : toute altération ultérieure sera détectable
+async function publishBallotChain(electionId) {
+  const head = await Ballot.findOne({ electionId: electionId.toString(), sequence: { $exists: true } })
+    .sort({ sequence: -1 })
+    .select({ sequence: 1, chainHash: 1 });
+  const ballotChain = { root: head?.chainHash || BallotChain.GENESIS, length: head?.sequence || 0 };
+  await pool.execute(
+    'UPDATE elections SET ballot_chain_root = ?, ballot_chain_length = ?, ballot_chain_published_at = NOW() WHERE id = ?',
+    [ballotChain.root, ballotChain.length, electionId]
+  );
+  return ballotChain;
+}
+
+/**
+ * Annule un scrutin ayant pu recevoir des votes (open, closed, tallied, proclaimed): tours suivants pas encore
+ * ouverts abandonnés, transition vers cancelled journalisée avec son motif (décision annulment), racine de l'urne
+ * publiée si le scrutin était ouvert, puis bulletins scellés sans être déchiffrés
+ */
+async function annulElection(electionId, { reason, actorId = null }) {
+  return withElectionLock(electionId, async () => {
+    const [[election]] = await pool.execute('SELECT id, status, ballot_chain_root, ballot_chain_length FROM elections WHERE id = ?', [electionId]);
+    if (!election) throw new LifecycleError('Scrutin non trouvé', { to: 'cancelled', statusCode: 404 });
+    if (!ElectionLifecycle.is(election.status, ...ElectionLifecycle.ANNULLABLE)) {
+      const current = ElectionLifecycle.normalize(election.status);
+      throw new LifecycleError(`Annulation impossible: scrutin ${current} (avant l'ouverture, utiliser /cancel)`, { from: current, to: 'cancelled' });
+    }
+    // Second tour (previous_round_id): abandonné s'il n'est pas encore ouvert (sinon le planificateur l'ouvrirait),
+    // annulation refusée s'il est déjà ouvert ou terminé
+    const [rounds] = await pool.execute('SELECT id FROM elections WHERE previous_round_id = ?', [electionId]);
+    const cancelledRounds = [];
+    for (const round of rounds) {
+      await withElectionLock(round.id, async () => {
+        const [[current]] = await pool.execute('SELECT status FROM elections WHERE id = ?', [round.id]);
+        if (ElectionLifecycle.is(current.status, ...ElectionLifecycle.CANCELLABLE)) {
+          await transitionElection(round.id, 'cancelled', { actorId, payload: { reason: 'Tour précédent annulé', previousRoundId: Number(electionId) } });
+          cancelledRounds.push(round.id);
+        } else if (!ElectionLifecycle.is(current.status, 'cancelled')) {
+          const status = ElectionLifecycle.normalize(current.status);
+          throw new LifecycleError(`Annulation impossible: tour suivant ${round.id} déjà ${status} (l'annuler d'abord)`, { from: ElectionLifecycle.normalize(election.status), to: 'cancelled' });
+        }
+      });
+    }
+    const { from } = await transitionElection(electionId, 'cancelled', { actorId, event: 'annulled', payload: { reason } });
+    // Motif journalisé dès la transition: conservé même si la suite (scellement, nouveau scrutin) échoue
+    await ensureDecisionsTable();
+    const decision = { reason, from, cancelledRounds };
+    const [logged] = await pool.execute(
+      'INSERT INTO election_decisions (election_id, decision_type, payload_json, decided_by) VALUES (?, ?, ?, ?)',
+      [electionId, 'annulment', JSON.stringify(decision), actorId]
+    );
+    const ballotChain = from === 'open'
+      ? await publishBallotChain(electionId)
+      : { root: election.ballot_chain_root, length: election.ballot_chain_length };
+    const sealed = await Ballot.updateMany(
+      { electionId: electionId.toString(), sealed: { $ne: true } },
+      { $set: { sealed: true, sealedAt: new Date() } }
+    );
+    await pool.execute('UPDATE election_decisions SET payload_json = ? WHERE id = ?', [JSON.stringify({ ...decision, ballotChain, sealedBallots: sealed.modifiedCount }), logged.insertId]);
+    return { from, ballotChain, sealedBallots: sealed.modifiedCount, cancelledRounds, decisionId: logged.insertId };
+  });
+}
+
+// Prévient par e-mail les électeurs inscrits d'un scrutin (best effort) ; retourne { sent, failed }
+async function notifyElectionVoters(electionId, { subject, text }) {
+  const [voters] = await pool.execute(
+    "SELECT v.email FROM voting_records vr JOIN voters v ON v.id = vr.voter_id WHERE vr.election_id = ? AND v.email IS NOT NULL AND v.email <> ''",
+    [electionId]
+  );
+  const report = { sent: 0, failed: 0 };
+  for (const { email } of voters) {
+    try {
+      await sendMail({ to: email, subject, text });
+      report.sent++;
+    } catch (e) {
+      report.failed++;
+      console.warn('⚠️  Envoi e-mail annulation échoué:', e.message);
+    }
+  }
+  return report;
+}
+
+// Dates d'un scrutin à venir: end_date après start_date et pas encore passée ; message d'erreur, null si valides
+function electionDatesError(startDate, endDate, now = new Date()) {
+  if (!(new Date(endDate) > new Date(startDate))) return 'end_date doit suivre start_date';
+  if (!(new Date(endDate) > now)) return 'end_date ne doit pas être passée';
+  return null;
+}
+
+// Période de vote (bornes incluses) ; message de refus, null si le vote est possible
+function votingWindowError(election, now = new Date()) {
+  if (election.start_date && now < new Date(election.start_date)) return 'Le scrutin n\'est pas encore ouvert';
+  if (election.end_date && now > new Date(election.end_date)) return 'La période de vote est terminée';
+  return null;
+}
+
+/**
+ * Planificateur: ouvre les scrutins planifiés (scheduled) dont start_date est atteinte et clôture les scrutins
+ * ouverts dont end_date est passée. L'état est relu en base à chaque passage: après un redémarrage, les échéances
+ * manquées sont rattrapées au premier passage
+ */
+async function runElectionScheduler(now = new Date()) {
+  const report = { opened: [], closed: [] };
+  const [elections] = await pool.query(
+    'SELECT id, status, start_date, end_date FROM elections WHERE status IN (?)',
+    [ElectionLifecycle.storedValues(['scheduled', 'open'])]
+  );
+  for (const election of elections) {
+    const start = new Date(election.start_date);
+    const end = new Date(election.end_date);
+    try {
+      if (ElectionLifecycle.is(election.status, 'open') && end <= now) {
+        if (await closeElection(election.id, { source: 'scheduler' })) report.closed.push(election.id);
+      } else if (ElectionLifecycle.is(election.status, 'scheduled') && start <= now && now < end) {
+        if (await openElection(election.id, { source: 'scheduler' })) report.opened.push(election.id);
+      }
+    } catch (error) {
+      console.warn(`⚠️  Planification du scrutin ${election.id} échouée:`, error.message);
+    }
+  }
+  return report;
+}
+
+// Passage immédiat (une fois les migrations faites) puis périodique ; ELECTION_SCHEDULER_INTERVAL_MS=0 désactive
+if (env.ELECTION_SCHEDULER_INTERVAL_MS > 0) {
+  const tick = () => runElectionScheduler()
+    .then(report => {
+      if (report.opened.length || report.closed.length) console.log('⏰ Planification des scrutins', report);
+    })
+    .catch(e => console.warn('⚠️  Planification des scrutins échouée:', e.message));
+  votingColumnsReady.then(() => {
+    tick();
+    setInterval(tick, env.ELECTION_SCHEDULER_INTERVAL_MS).unref();
+  });
+}
+
+// Planifier un scrutin (draft -> scheduled: ouverture automatique à start_date) ou le repasser en brouillon
+for (const [action, to, message] of [['schedule', 'scheduled', 'Scrutin planifié'], ['unschedule', 'draft', 'Scrutin repassé en brouillon']]) {
+  app.post(`/api/elections/:id/${action}`, authenticateToken, async (req, res) => {
+    try {
+      if (req.user.type !== 'admin') {
+        return res.status(403).json({ success: false, message: 'Accès réservé aux administrateurs' });
+      }
+      const electionId = req.params.id;
+      if (!(await assertAdminCanAccessElection(req, res, electionId))) return;
+      const [[election]] = await pool.execute('SELECT start_date, end_date FROM elections WHERE id = ?', [electionId]);
+      if (!election) return res.status(404).json({ success: false, message: 'Scrutin introuvable' });
+      const datesIssue = to === 'scheduled' ? electionDatesError(election.start_date, election.end_date) : null;
+      if (datesIssue) {
+        return res.status(400).json({ success: false, message: `Planification impossible: ${datesIssue}` });
+      }
+      await transitionElection(electionId, to, { actorId: req.user.id, payload: { startDate: election.start_date, endDate: election.end_date } });
+      res.json({ success: true, message, electionId, status: to });
+    } catch (error) {
+      if (error instanceof LifecycleError) {
+        return res.status(error.statusCode).json({ success: false, message: error.message, status: error.from });
+      }
+      res.status(500).json({ success: false, message: 'Erreur planification du scrutin', error: error.message });
+    }
+  });
+}
+
+// Abandonner un scrutin pas encore ouvert (draft ou scheduled -> cancelled), body facultatif { reason }
+app.post('/api/elections/:id/cancel', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.type !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Accès réservé aux administrateurs' });
+    }
+    const electionId = req.params.id;
+    if (!(await assertAdminCanAccessElection(req, res, electionId))) return;
+    const reason = req.body?.reason ? String(req.body.reason).trim() : null;
+    const [[election]] = await pool.execute('SELECT status FROM elections WHERE id = ?', [electionId]);
+    if (!election) return res.status(404).json({ success: false, message: 'Scrutin introuvable' });
+    if (!ElectionLifecycle.is(election.status, ...ElectionLifecycle.CANCELLABLE)) {
+      const current = ElectionLifecycle.normalize(election.status);
+      return res.status(409).json({ success: false, message: `Abandon impossible: scrutin ${current} (après l'ouverture, utiliser /annul)`, status: current });
+    }
+    const { from } = await transitionElection(electionId, 'cancelled', { actorId: req.user.id, payload: { reason } });
+    await ensureDecisionsTable();
+    await pool.execute('INSERT INTO election_decisions (election_id, decision_type, payload_json, decided_by) VALUES (?, ?, ?, ?)', [electionId, 'cancellation', JSON.stringify({ from, reason }), req.user.id]);
+    res.json({ success: true, message: 'Scrutin abandonné', electionId, status: 'cancelled' });
+  } catch (error) {
+    if (error instanceof LifecycleError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, status: error.from });
+    }
+    res.status(500).json({ success: false, message: 'Erreur abandon du scrutin', error: error.message });
+  }
+});
+
+// Annuler un scrutin ayant pu recevoir des votes: bulletins scellés sans déchiffrement, motif journalisé,
+// électeurs prévenus ; body { reason, rerun?: { start_date, end_date, title? } } pour recréer le scrutin
+app.post('/api/elections/:id/annul', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.type !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Accès réservé aux administrateurs' });
+    }
+    const electionId = req.params.id;
+    if (!(await assertAdminCanAccessElection(req, res, electionId))) return;
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) return res.status(400).json({ success: false, message: 'reason requis pour annuler un scrutin' });
+    const { rerun } = req.body;
+    const datesIssue = rerun ? electionDatesError(rerun.start_date, rerun.end_date) : null;
+    if (datesIssue) {
+      return res.status(400).json({ success: false, message: `rerun: ${datesIssue}` });
+    }
+
+    const { decisionId, ...annulment } = await annulElection(electionId, { reason, actorId: req.user.id });
+    const [[orig]] = await pool.execute('SELECT * FROM elections WHERE id = ?', [electionId]);
+    let rerunElection = null;
+    if (rerun) {
+      try {
+        rerunElection = await createRerun(orig, {
+          title: rerun.title || `${orig.title} (nouveau scrutin)`,
+          startDate: rerun.start_date,
+          endDate: rerun.end_date,
+          createdBy: req.user.id
+        });
+      } catch (error) {
+        // Annulation acquise (motif journalisé) ; seul le nouveau scrutin est à recréer
+        return res.status(500).json({ success: false, message: 'Scrutin annulé, mais création du nouveau scrutin échouée', electionId, status: 'cancelled', ...annulment, error: error.message });
+      }
+      await pool.execute(
+        "UPDATE election_decisions SET payload_json = JSON_SET(payload_json, '$.rerunElectionId', ?) WHERE id = ?",
+        [rerunElection.newElectionId, decisionId]
+      );
+    }
+
+    const rerunLine = rerun
+      ? `\nUn nouveau scrutin est organisé du ${new Date(rerun.start_date).toLocaleString('fr-FR')} au ${new Date(rerun.end_date).toLocaleString('fr-FR')} ; vous y êtes inscrit(e).`
+      : '';
+    res.json({
+      success: true,
+      message: 'Scrutin annulé',
+      electionId,
+      status: 'cancelled',
+      ...annulment,
+      rerun: rerunElection
+    });
+
+    // Électeurs prévenus après la réponse (liste électorale potentiellement longue) ; bilan journalisé sous annulment_notice
+    notifyElectionVoters(electionId, {
+      subject: `VOTUX – Scrutin annulé: ${orig.title}`,
+      text: `Le scrutin « ${orig.title} » a été annulé.\nMotif: ${reason}\nLes bulletins déposés sont scellés et ne seront pas dépouillés.${rerunLine}`
+    })
+      .then(report => pool.execute('INSERT INTO election_decisions (election_id, decision_type, payload_json, decided_by) VALUES (?, ?, ?, ?)', [electionId, 'annulment_notice', JSON.stringify(report), req.user.id]))
+      .catch(e => console.warn('⚠️  Notification de l\'annulation échouée:', e.message));
+  } catch (error) {
+    if (error instanceof LifecycleError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, status: error.from });
+    }
+    res.status(500).json({ success: false, message: 'Erreur annulation du scrutin', error: error.message });
+  }
+});
+
+// Journal des transitions d'un scrutin (admin)
+app.get('/api/elections/:id/events', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.type !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Accès réservé aux administrateurs' });
+    }
+    const electionId = req.params.id;
+    if (!(await assertAdminCanAccessElection(req, res, electionId))) return;
+    const [rows] = await pool.execute(
+      'SELECT id, event_type, from_status, to_status, source, actor_id, payload_json, created_at FROM election_events WHERE election_id = ? ORDER BY created_at, id',
+      [electionId]
+    );
+    const events = rows.map(({ payload_json, ...event }) => ({ ...event, payload: parseResultsJson(payload_json) }));
+    res.json({ success: true, electionId, events });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Erreur lecture du journal du scrutin', error: error.message });
+  }
+});
+
+// Dépose un bulletin en fin de chaîne ; en cas de dépôt simultané sur le même rang (index unique), on rejoue
+async function saveChainedBallot(fields, attempts = 5) {
+  for (let attempt = 1; ; attempt++) {
+    const last = await Ballot.findOne({ electionId: fields.electionId, sequence: { $exists: true } })
+      .sort({ sequence: -1 })
+      .select({ sequence: 1, chainHash: 1 });
+    const sequence = (last?.sequence || 0) + 1;
+    const previousHash = last?.chainHash || BallotChain.GENESIS;
+    const ballot = new Ballot({ ...fields, sequence, previousHash });
+    ballot.chainHash = BallotChain.computeHash(previousHash, ballot);
+    try {
+      return await ballot.save();
+    } catch (error) {
+      const sequenceTaken = error?.code === 11000 && JSON.stringify(error.keyPattern || {}).includes('sequence');
+      if (!sequenceTaken || attempt >= attempts) throw error;
+    }
+  }
+}
+
+// --- Enregistrement atomique du vote (MySQL + MongoDB) ---
+// Une intention de vote (vote_intents) est ouverte avec l'émargement, le bulletin est déposé avec son intentId,
+// puis l'intention est validée et le lien effacé. Le lien électeur ↔ bulletin n'existe que pendant le dépôt.
+const VOTE_INTENT_STALE_MS = 5 * 60 * 1000;
+
+// Phase 1: émargement conditionnel (ferme la course au double vote) et intention, dans une même transaction.
+// voterId null pour un revote (l'émargement est déjà fait) ou un vote anonyme ; retourne false si l'électeur a déjà voté
+async function openVoteIntent(intentId, electionId, voterId, kind = voterId != null ? 'vote' : 'revote') {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    if (voterId != null) {
+      const [claim] = await conn.execute(
+        'UPDATE voting_records SET has_voted = TRUE, voted_at = NOW() WHERE voter_id = ? AND election_id = ? AND has_voted = FALSE',
+        [voterId, electionId]
+      );
+      if (claim.affectedRows === 0) {
+        await conn.rollback();
+        return false;
+      }
+    }
+    await conn.execute(
+      'INSERT INTO vote_intents (intent_id, election_id, voter_id, kind) VALUES (?, ?, ?, ?)',
+      [intentId, electionId, voterId, kind]
+    );
+    await conn.commit();
+    return true;
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+}
+
+// Efface les liens intention ↔ bulletins puis l'intention elle-même (dans cet ordre: rejouable sans ambiguïté)
+async function finishVoteIntent(intentId) {
+  await Ballot.updateMany(
+    { $or: [{ intentId }, { supersededIntent: intentId }] },
+    { $unset: { intentId: '', supersededIntent: '' } }
+  );
+  await pool.execute('DELETE FROM vote_intents WHERE intent_id = ?', [intentId]);
+}
+
+// Phase 3: bulletin déposé ; false si l'intention a entre-temps été annulée par la réconciliation
+async function commitVoteIntent(intentId) {
+  const [marked] = await pool.execute("UPDATE vote_intents SET status = 'committed' WHERE intent_id = ? AND status = 'pending'", [intentId]);
+  if (marked.affectedRows === 0) return false;
+  await finishVoteIntent(intentId);
+  return true;
+}
+
+// Annulation d'une intention sans bulletin déposé: émargement levé (premier vote), ancien bulletin rétabli (revote)
+async function rollbackVoteIntent(intent) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [removed] = await conn.execute("DELETE FROM vote_intents WHERE intent_id = ? AND status = 'pending'", [intent.intent_id]);
+    if (removed.affectedRows === 0) {
+      await conn.rollback();
+      return false;
+    }
+    if (intent.voter_id != null) {
+      await conn.execute('UPDATE voting_records SET has_voted = FALSE, voted_at = NULL WHERE voter_id = ? AND election_id = ?', [intent.voter_id, intent.election_id]);
+    }
+    await conn.commit();
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+  await Ballot.updateMany(
+    { supersededIntent: intent.intent_id },
+    { $set: { superseded: false, supersededAt: null }, $unset: { supersededIntent: '' } }
+  );
+  return true;
+}
+
+/**
+ * Réconciliation des votes interrompus (un scrutin ou tous), sans jamais rattacher un bulletin à un électeur:
+ * - intention validée: liens effacés
+ * - intention ancienne avec bulletin déposé: validée ; sans bulletin: annulée (l'électeur peut revoter)
+ * - bulletin dont l'intention a disparu (dépôt tardif après annulation): mis en quarantaine, exclu du dépouillement
+ * - bulletin remplacé par un revote annulé: rétabli
+ */
+async function reconcileVotes(electionId = null, staleMs = VOTE_INTENT_STALE_MS) {
+  const report = { committed: 0, rolledBack: 0, restored: 0, quarantined: 0, pending: 0 };
+  const scope = electionId != null ? ' WHERE election_id = ?' : '';
+  const params = electionId != null ? [electionId] : [];
+  const cutoff = new Date(Date.now() - staleMs);
+
+  const [intents] = await pool.execute(`SELECT * FROM vote_intents${scope}`, params);
+  for (const intent of intents) {
+    if (intent.status === 'committed') {
+      await finishVoteIntent(intent.intent_id);
+      report.committed++;
+    } else if (new Date(intent.created_at) > cutoff) {
+      report.pending++;
+    } else if (await Ballot.exists({ intentId: intent.intent_id })) {
+      if (await commitVoteIntent(intent.intent_id)) report.committed++;
+    } else if (await rollbackVoteIntent(intent)) {
+      report.rolledBack++;
+    }
+  }
+
+  // Liens restés sans intention ; seuls les bulletins anciens sont examinés (un dépôt en cours a toujours son intention)
+  const [remaining] = await pool.execute(`SELECT intent_id FROM vote_intents${scope}`, params);
+  const knownIds = remaining.map(r => r.intent_id);
+  const ballotScope = electionId != null ? { electionId: String(electionId) } : {};
+  const quarantined = await Ballot.updateMany(
+    { ...ballotScope, intentId: { $exists: true, $nin: knownIds }, createdAt: { $lt: cutoff } },
+    { $set: { quarantined: true, quarantinedAt: new Date() }, $unset: { intentId: '' } }
+  );
+  report.quarantined = quarantined.modifiedCount;
+  const restored = await Ballot.updateMany(
+    { ...ballotScope, supersededIntent: { $exists: true, $nin: knownIds }, supersededAt: { $lt: cutoff } },
+    { $set: { superseded: false, supersededAt: null }, $unset: { supersededIntent: '' } }
+  );
+  report.restored = restored.modifiedCount;
+  return report;
+}
+
+// Réconciliation périodique de tous les scrutins
+setInterval(() => {
+  reconcileVotes()
+    .then(report => {
+      if (report.committed || report.rolledBack || report.restored || report.quarantined) {
+        console.log('🔁 Réconciliation des votes', report);
+      }
+    })
+    .catch(e => console.warn('⚠️  Réconciliation des votes échouée:', e.message));
+}, VOTE_INTENT_STALE_MS).unref();
+
+// Émargements d'un scrutin: électeurs ayant voté ou, en vote anonyme, jetons délivrés
+async function countSignIns(electionId, election) {
+  const condition = election?.anonymous_credentials ? 'credential_issued_at IS NOT NULL' : 'has_voted = TRUE';
+  const [[{ signIns }]] = await pool.execute(`SELECT COUNT(*) AS signIns FROM voting_records WHERE election_id = ? AND ${condition}`, [electionId]);
+  return Number(signIns);
+}
+
+// Bulletins retenus contre émargements ; un jeton anonyme délivré peut ne jamais servir
+function ballotsMatchSignIns(election, signIns, ballotCount) {
+  return election?.anonymous_credentials ? ballotCount <= signIns : ballotCount === signIns;
+}
+
+// Valide la sélection et chiffre le bulletin d'un scrutin actif
+// @returns {{ voteData: object, encryptedVote: object }|{ status: number, body: object }} - status/body: refus à renvoyer
+async function prepareBallot(election, electionId, body, weight) {
+  // Vérifier la sélection (candidat unique ou classement selon la méthode du scrutin)
+  const votingMethod = election.voting_method || 'plurality';
+  const [candidates] = await pool.execute(
+    'SELECT id, contest_id FROM candidates WHERE election_id = ?',
+    [electionId]
+  );
+  // Scrutin à plusieurs questions: un seul bulletin combiné, une sélection par question
+  const [contests] = await pool.execute(
+    'SELECT id, title, voting_method, max_votes FROM election_contests WHERE election_id = ? ORDER BY order_position, id',
+    [electionId]
+  );
+  const validation = contests.length > 0
+    ? BallotValidator.validateContests(contests, body.contests, candidates)
+    : BallotValidator.validate({ method: votingMethod, maxVotes: election.max_votes }, body, candidates);
+
+  if (!validation.valid) {
+    return {
+      status: 400,
+      body: { success: false, message: validation.errors[0], errors: validation.errors }
+    };
+  }
+
+  // Préparer le vote pour chiffrement ; le poids du collège voyage dans le bulletin chiffré, sans l'identité de l'électeur
+  const voteData = {
+    electionId: electionId.toString(),
+    ...validation.selection,
+    weight,
+    timestamp: new Date().toISOString()
+  };
+
+  // Chiffrer le vote (pour la clé publique du scrutin si des assesseurs détiennent la clé privée)
+  let encryptedVote;
+  if (election.encryption_scheme === 'homomorphic') {
+    // Une case chiffrée par candidat et pour le vote blanc, avec preuves qu'elles valent 0 ou 1
+    if (!election.homomorphic_public_key) {
+      return { status: 409, body: { success: false, message: 'Clé homomorphe du scrutin non générée (démarrer le scrutin)' } };
+    }
+    const { selection } = validation;
+    const selected = selection.blank ? [HomomorphicEncryption.BLANK_SLOT] : (selection.candidateIds ?? [selection.candidateId]);
+    encryptedVote = HomomorphicEncryption.encryptBallot(selected, homomorphicSlots(candidates), homomorphicParams(election));
+  } else if (election.public_key) {
+    encryptedVote = ThresholdCrypto.encryptVote(voteData, electionId.toString(), election.public_key);
+  } else {
+    encryptedVote = await sealForElection(electionId, voteData, electionId.toString());
+  }
+  return { voteData, encryptedVote };
+}
+
+// Phases 2 et 3: dépôt du bulletin (chaîné au précédent) puis validation de l'intention
+// @returns {boolean} - false si l'intention a été annulée entre-temps (bulletin mis en quarantaine)
+async function depositBallot(intent, fields) {
+  const intentId = intent.intent_id;
+  try {
+    await saveChainedBallot({ ...fields, intentId });
+  } catch (saveError) {
+    // Dépôt non confirmé: annulation immédiate si le bulletin est absent, sinon la réconciliation tranchera
+    try {
+      if (!(await Ballot.exists({ intentId }))) await rollbackVoteIntent(intent);
+    } catch (rollbackError) {
+      console.warn('⚠️  Annulation de l\'intention de vote différée à la réconciliation:', rollbackError.message);
+    }
+    throw saveError;
+  }
+
+  // Le bulletin déposé suffit, une erreur ici est reprise par la réconciliation
+  try {
+    if (!(await commitVoteIntent(intentId))) {
+      // Intention annulée entre-temps (dépôt anormalement long): bulletin écarté, l'électeur peut revoter
+      await Ballot.updateOne({ intentId }, { $set: { quarantined: true, quarantinedAt: new Date() }, $unset: { intentId: '' } });
+      return false;
+    }
+  } catch (commitError) {
+    console.warn('⚠️  Validation de l\'intention de vote différée à la réconciliation:', commitError.message);
+  }
+  return true;
+}
+
+// Route pour voter
+app.post('/api/vote', voteLimiter, authenticateToken, asyncHandler(async (req, res) => {
+  try {
+    const { electionId } = req.body;
+    const voterId = req.user.id;
+
+    if (!electionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID du scrutin requis'
+      });
+    }
+
+    // Vérifier l'éligibilité (doit exister une ligne dans voting_records)
+    const [votingRecords] = await pool.execute(
+      'SELECT * FROM voting_records WHERE voter_id = ? AND election_id = ?',
+      [voterId, electionId]
+    );
+    if (votingRecords.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Vous n\'êtes pas éligible à ce scrutin'
+      });
+    }
+
+    // Vérifier que le scrutin est ouvert (statut open)
+    const [elections] = await pool.query(
+      'SELECT * FROM elections WHERE id = ? AND status IN (?)',
+      [electionId, ElectionLifecycle.storedValues(['open'])]
+    );
+
+    if (elections.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scrutin non trouvé ou non ouvert'
+      });
+    }
+
+    const windowError = votingWindowError(elections[0]);
+    if (windowError) {
+      return res.status(400).json({
+        success: false,
+        message: windowError
+      });
+    }
+
+    // Vote anonyme: le bulletin ne doit pas être déposé par une requête authentifiée
+    if (elections[0].anonymous_credentials) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ce scrutin se vote avec un jeton anonyme (POST /api/vote/anonymous)'
+      });
+    }
+
+    // Revote (allow_revote): le jeton remis au premier vote désigne le bulletin à remplacer
+    const allowRevote = Boolean(elections[0].allow_revote);
+    const isRevote = Boolean(votingRecords[0].has_voted);
+    if (isRevote && !allowRevote) {
+      return res.status(400).json({
+        success: false,
+        message: 'Vous avez déjà voté pour ce scrutin'
+      });
+    }
+    if (isRevote && !req.body.revoteToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'revoteToken requis pour modifier votre vote'
+      });
+    }
+
+    const weight = voterWeight(votingRecords[0], parseCollegeWeights(elections[0].college_weights));
+    const prepared = await prepareBallot(elections[0], electionId, req.body, weight);
+    if (prepared.status) {
+      return res.status(prepared.status).json(prepared.body);
+    }
+    const { voteData, encryptedVote } = prepared;
+    
+    // Générer un hash unique pour le vote
+    const voteHash = VoteEncryption.generateVoteHash(
+      voterId.toString(), 
+      electionId.toString(), 
+      voteData.timestamp
+    );
+
+    // Phase 1 (MySQL): émargement conditionnel et intention de vote ; un revote ne touche pas l'émargement
+    const intentId = crypto.randomBytes(16).toString('hex');
+    const intent = { intent_id: intentId, election_id: electionId, voter_id: isRevote ? null : voterId };
+    if (!(await openVoteIntent(intentId, electionId, intent.voter_id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Vous avez déjà voté pour ce scrutin'
+      });
+    }
+
+    // Revote: marquer l'ancien bulletin comme remplacé (condition superseded=false: un jeton ne sert qu'une fois)
+    if (isRevote) {
+      const previousBallot = await Ballot.findOneAndUpdate(
+        { electionId: electionId.toString(), revoteHash: VoteEncryption.hashRevoteToken(req.body.revoteToken), superseded: false },
+        { $set: { superseded: true, supersededAt: new Date(), supersededIntent: intentId } }
+      );
+      if (!previousBallot) {
+        await rollbackVoteIntent(intent);
+        return res.status(400).json({
+          success: false,
+          message: 'Jeton de revote invalide ou déjà utilisé'
+        });
+      }
+    }
+    const revoteToken = allowRevote ? VoteEncryption.generateRevoteToken() : null;
+
+    // Phases 2 et 3: stocker dans MongoDB (urne électronique) puis valider l'intention
+    const deposited = await depositBallot(intent, {
+      electionId: electionId.toString(),
+      encryptedVote: JSON.stringify(encryptedVote),
+      voteHash: voteHash,
+      ...(encryptedVote.keyId && { keyId: encryptedVote.keyId }),
+      ...(revoteToken && { revoteHash: VoteEncryption.hashRevoteToken(revoteToken) })
+    });
+    if (!deposited) {
+      return res.status(503).json({
+        success: false,
+        message: 'Vote non enregistré (délai dépassé), veuillez voter à nouveau'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: isRevote ? 'Vote modifié avec succès' : 'Vote enregistré avec succès',
+      receipt: voteHash, // Preuve de vote (anonyme)
+      // À conserver par l'électeur pour revoter ; remplace le jeton précédent
+      ...(revoteToken && { revoteToken })
+    });
+
+  } catch (error) {
+    // L'erreur sera gérée par le middleware errorHandler
+    throw error;
+  }
+}));
 
-// Route pour lister les candidats d'un scrutin
-app.get('/api/elections/:id/candidates', authenticateToken, async (req, res) => {
+// --- Vote anonyme par jetons signés en aveugle (scrutins anonymous_credentials) ---
+// Clé publique de signature du scrutin: l'électeur masque son jeton avec (voir utils/blindSignature.js)
+app.get('/api/elections/:id/blind-key', async (req, res) => {
   try {
-    const electionId = req.params.id;
-    // If admin, enforce institution check
-    if (req.user?.type === 'admin') {
-      const ok = await assertAdminCanAccessElection(req, res, electionId);
-      if (!ok) return; // response already sent
+    const electionId = Number(req.params.id);
+    const [[election]] = await pool.execute('SELECT anonymous_credentials FROM elections WHERE id = ?', [electionId]);
+    if (!election?.anonymous_credentials) {
+      return res.status(404).json({ success: false, message: 'Scrutin introuvable ou sans vote anonyme' });
     }
-    const [candidates] = await pool.execute(
-      'SELECT * FROM candidates WHERE election_id = ? ORDER BY order_position',
-      [electionId]
-    );
-
-    res.json(candidates);
-
+    const { publicKey } = await electionBlindKey(electionId);
+    res.json({ success: true, electionId, algorithm: 'RSA-FDH-SHA256', publicKey });
   } catch (error) {
-    console.error('Erreur liste candidats:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erreur lors de la récupération des candidats',
-      error: error.message
-    });
+    res.status(500).json({ success: false, message: 'Erreur lecture clé de signature', error: error.message });
   }
 });
 
-// Route pour démarrer un scrutin (status -> ongoing)
-app.post('/api/elections/:id/start', authenticateToken, async (req, res) => {
+// Délivrance du jeton: l'électeur éligible fait signer son jeton masqué, une seule fois (tient lieu d'émargement)
+app.post('/api/elections/:id/credentials', voteLimiter, authenticateToken, async (req, res) => {
   try {
-    if (req.user.type !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Accès réservé aux administrateurs'
-      });
+    const electionId = Number(req.params.id);
+    const voterId = req.user.id;
+    const { blindedToken } = req.body || {};
+    if (typeof blindedToken !== 'string' || !blindedToken) {
+      return res.status(400).json({ success: false, message: 'blindedToken requis' });
     }
-
-    const electionId = req.params.id;
-    if (!(await assertAdminCanAccessElection(req, res, electionId))) return;
-
-    // Vérifier que l'élection existe
-    const [elections] = await pool.execute(
-      'SELECT * FROM elections WHERE id = ?',
-      [electionId]
+    const [[election]] = await pool.execute('SELECT status, anonymous_credentials FROM elections WHERE id = ?', [electionId]);
+    if (!election?.anonymous_credentials) {
+      return res.status(404).json({ success: false, message: 'Scrutin introuvable ou sans vote anonyme' });
+    }
+    if (!ElectionLifecycle.is(election.status, 'draft', 'scheduled', 'open')) {
+      return res.status(400).json({ success: false, message: 'Scrutin clôturé: plus de jeton délivré' });
+    }
+    const [[record]] = await pool.execute(
+      'SELECT credential_request_hash FROM voting_records WHERE voter_id = ? AND election_id = ?',
+      [voterId, electionId]
     );
-
-    if (elections.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Scrutin non trouvé'
-      });
+    if (!record) {
+      return res.status(403).json({ success: false, message: 'Vous n\'êtes pas éligible à ce scrutin' });
     }
 
-    // Mettre à jour le statut depuis '', 'draft', 'pending' -> 'ongoing'
-    const [result] = await pool.execute(
-      'UPDATE elections SET status = ? WHERE id = ?',
-      ['active', electionId]
+    // Délivrance conditionnelle (une seule par électeur) ; la même demande peut être rejouée (réponse perdue)
+    const requestHash = crypto.createHash('sha256').update(blindedToken).digest('hex');
+    const [claim] = await pool.execute(
+      'UPDATE voting_records SET credential_issued_at = NOW(), credential_request_hash = ? WHERE voter_id = ? AND election_id = ? AND credential_issued_at IS NULL',
+      [requestHash, voterId, electionId]
     );
-    console.log('📣 START election', { electionId, by: req.user?.id, affectedRows: result?.affectedRows });
-    const [[updated]] = await pool.execute('SELECT id, status, start_date, end_date FROM elections WHERE id = ?', [electionId]);
-    res.json({ success: true, message: 'Scrutin démarré avec succès', election: updated });
+    if (claim.affectedRows === 0) {
+      const [[issued]] = await pool.execute(
+        'SELECT credential_request_hash FROM voting_records WHERE voter_id = ? AND election_id = ?',
+        [voterId, electionId]
+      );
+      if (issued?.credential_request_hash !== requestHash) {
+        return res.status(409).json({ success: false, message: 'Jeton de vote déjà délivré pour ce scrutin' });
+      }
+    }
 
+    const blindKey = await electionBlindKey(electionId);
+    let blindSignature;
+    try {
+      blindSignature = BlindSignature.signBlinded(blindedToken, await blindKey.privateKey(), blindKey.publicKey);
+    } catch (signError) {
+      // Demande illisible: la délivrance est levée pour permettre une nouvelle demande
+      if (claim.affectedRows > 0) {
+        await pool.execute(
+          'UPDATE voting_records SET credential_issued_at = NULL, credential_request_hash = NULL WHERE voter_id = ? AND election_id = ? AND credential_request_hash = ?',
+          [voterId, electionId, requestHash]
+        );
+      }
+      return res.status(400).json({ success: false, message: signError.message });
+    }
+    res.json({ success: true, electionId, blindSignature });
   } catch (error) {
-    console.error('Erreur démarrage scrutin:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erreur lors du démarrage du scrutin',
-      error: error.message
-    });
+    res.status(500).json({ success: false, message: 'Erreur délivrance du jeton de vote', error: error.message });
   }
 });
 
-// Route pour voter
-app.post('/api/vote', voteLimiter, authenticateToken, asyncHandler(async (req, res) => {
+// Vote anonyme: sans authentification, le jeton démasqué et sa signature prouvent le droit de vote
+app.post('/api/vote/anonymous', voteLimiter, asyncHandler(async (req, res) => {
   try {
-    const { electionId, candidateId } = req.body;
-    const voterId = req.user.id;
-
-    if (!electionId || !candidateId) {
+    const { electionId, token, signature } = req.body || {};
+    if (!electionId || typeof token !== 'string' || typeof signature !== 'string') {
       return res.status(400).json({
         success: false,
-        message: 'ID du scrutin et du candidat requis'
+        message: 'electionId, token et signature requis'
       });
     }
+    if (token.length < 32 || token.length > 256) {
+      return res.status(400).json({ success: false, message: 'Jeton de vote invalide' });
+    }
 
-    // Vérifier l'éligibilité (doit exister une ligne dans voting_records)
-    const [votingRecords] = await pool.execute(
-      'SELECT * FROM voting_records WHERE voter_id = ? AND election_id = ?',
-      [voterId, electionId]
+    const [elections] = await pool.query(
+      'SELECT * FROM elections WHERE id = ? AND status IN (?)',
+      [electionId, ElectionLifecycle.storedValues(['open'])]
     );
-    if (votingRecords.length === 0) {
-      return res.status(403).json({
+    if (elections.length === 0 || !elections[0].anonymous_credentials) {
+      return res.status(400).json({
         success: false,
-        message: 'Vous n\'êtes pas éligible à ce scrutin'
+        message: 'Scrutin non trouvé, non ouvert ou sans vote anonyme'
       });
     }
-    if (votingRecords[0].has_voted) {
+    const windowError = votingWindowError(elections[0]);
+    if (windowError) {
       return res.status(400).json({
         success: false,
-        message: 'Vous avez déjà voté pour ce scrutin'
+        message: windowError
       });
     }
 
-    // Vérifier que le scrutin est actif (ongoing ou active)
-    const [elections] = await pool.execute(
-      "SELECT * FROM elections WHERE id = ? AND (status = 'ongoing' OR status = 'active')",
-      [electionId]
-    );
-
-    if (elections.length === 0) {
+    const blindKey = await electionBlindKey(electionId, { create: false });
+    if (!blindKey || !BlindSignature.verify(token, signature, String(electionId), blindKey.publicKey)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Jeton de vote invalide'
+      });
+    }
+    const credentialHash = BlindSignature.hashToken(token);
+    if (await Ballot.exists({ electionId: electionId.toString(), credentialHash, quarantined: false })) {
       return res.status(400).json({
         success: false,
-        message: 'Scrutin non trouvé ou non actif'
+        message: 'Ce jeton de vote a déjà été utilisé'
       });
     }
 
-    // Vérifier que le candidat existe
-    const [candidates] = await pool.execute(
-      'SELECT * FROM candidates WHERE id = ? AND election_id = ?',
-      [candidateId, electionId]
-    );
-
-    if (candidates.length === 0) {
-      return res.status(400).json({
+    const prepared = await prepareBallot(elections[0], electionId, req.body, 1);
+    if (prepared.status) {
+      return res.status(prepared.status).json(prepared.body);
+    }
+    const { voteData, encryptedVote } = prepared;
+    const voteHash = VoteEncryption.generateVoteHash(credentialHash, electionId.toString(), voteData.timestamp);
+
+    // Intention sans électeur: l'émargement a eu lieu à la délivrance du jeton
+    const intentId = crypto.randomBytes(16).toString('hex');
+    const intent = { intent_id: intentId, election_id: electionId, voter_id: null };
+    await openVoteIntent(intentId, electionId, null, 'anonymous');
+    let deposited;
+    try {
+      deposited = await depositBallot(intent, {
+        electionId: electionId.toString(),
+        encryptedVote: JSON.stringify(encryptedVote),
+        voteHash: voteHash,
+        credentialHash,
+        ...(encryptedVote.keyId && { keyId: encryptedVote.keyId })
+      });
+    } catch (saveError) {
+      // Même jeton soumis deux fois simultanément: l'index unique n'en garde qu'un
+      if (saveError?.code === 11000 && JSON.stringify(saveError.keyPattern || {}).includes('credentialHash')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Ce jeton de vote a déjà été utilisé'
+        });
+      }
+      throw saveError;
+    }
+    if (!deposited) {
+      return res.status(503).json({
         success: false,
-        message: 'Candidat non valide pour ce scrutin'
+        message: 'Vote non enregistré (délai dépassé), veuillez voter à nouveau avec le même jeton'
       });
     }
 
-    // Préparer le vote pour chiffrement
-    const voteData = {
-      electionId: electionId.toString(),
-      candidateId: candidateId.toString(),
-      timestamp: new Date().toISOString()
+    res.json({
+      success: true,
+      message: 'Vote enregistré avec succès',
+      receipt: voteHash
+    });
+
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// Déchiffre un bulletin selon son format: clé de données du scrutin, ancien format ou clé à seuil (assesseurs)
+// dataKeys: cache des clés de données par keyId, partagé sur tout un dépouillement
+async function decryptBallot(ballot, electionId, { dataKeys, privateKey = null }) {
+  const encryptedData = JSON.parse(ballot.encryptedVote);
+  if (encryptedData.scheme === ThresholdCrypto.SCHEME) {
+    if (!privateKey) throw new Error('Clé privée du scrutin indisponible (parts des assesseurs)');
+    return ThresholdCrypto.decryptVote(encryptedData, String(electionId), privateKey);
+  }
+  if (encryptedData.keyId && !dataKeys.has(encryptedData.keyId)) {
+    dataKeys.set(encryptedData.keyId, await electionDataKey(electionId, encryptedData.keyId));
+  }
+  return VoteEncryption.decryptVote(
+    encryptedData.encryptedData,
+    String(electionId),
+    encryptedData.iv,
+    encryptedData.authTag,
+    dataKeys.get(encryptedData.keyId) ?? null
+  );
+}
+
+// Rapport d'intégrité signé d'un scrutin (admin): comptages MySQL/MongoDB, doublons de reçus, authenticité
+// de chaque bulletin, bulletins hors période, émargements de comptes inactifs et urne chaînée
+app.get('/api/elections/:id/integrity-report', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.type !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Accès réservé aux administrateurs' });
+    }
+    const electionId = Number(req.params.id);
+    if (!(await assertAdminCanAccessElection(req, res, electionId))) return;
+    const [[election]] = await pool.execute('SELECT * FROM elections WHERE id = ?', [electionId]);
+    const status = (ok) => (ok ? 'pass' : 'fail');
+    const checks = {};
+
+    // Bulletins de l'urne (tous, y compris remplacés et en quarantaine), dans l'ordre de la chaîne
+    const ballots = await Ballot.find({ electionId: String(electionId) }).sort({ sequence: 1, createdAt: 1 });
+    const counted = ballots.filter(b => !b.superseded && !b.quarantined);
+
+    // 1. Comptages: émargements MySQL (jetons délivrés en vote anonyme) contre bulletins retenus
+    const mysqlVotes = await countSignIns(electionId, election);
+    const [[{ pendingIntents }]] = await pool.execute('SELECT COUNT(*) AS pendingIntents FROM vote_intents WHERE election_id = ?', [electionId]);
+    checks.ballotCounts = {
+      status: status(ballotsMatchSignIns(election, mysqlVotes, counted.length) && Number(pendingIntents) === 0),
+      ...(election.anonymous_credentials && { anonymousCredentials: true }),
+      mysqlVotes,
+      mongoVotes: counted.length,
+      supersededBallots: ballots.filter(b => b.superseded).length,
+      quarantinedBallots: ballots.filter(b => b.quarantined && !b.superseded).length,
+      pendingIntents: Number(pendingIntents)
     };
 
-    // Chiffrer le vote
-    const encryptedVote = VoteEncryption.encryptVote(voteData, electionId.toString());
-    
-    // Générer un hash unique pour le vote
-    const voteHash = VoteEncryption.generateVoteHash(
-      voterId.toString(), 
-      electionId.toString(), 
-      voteData.timestamp
-    );
+    // 2. Reçus en double
+    const duplicates = await Ballot.aggregate([
+      { $match: { electionId: String(electionId) } },
+      { $group: { _id: '$voteHash', count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } }
+    ]);
+    checks.duplicateVoteHashes = {
+      status: status(duplicates.length === 0),
+      duplicates: duplicates.map(d => ({ voteHash: d._id, count: d.count }))
+    };
 
-    // Stocker dans MongoDB (urne électronique)
-    const ballot = new Ballot({
-      electionId: electionId.toString(),
-      encryptedVote: JSON.stringify(encryptedVote),
-      voteHash: voteHash
-    });
+    // 3. Authenticité de chaque bulletin (déchiffrement AES-GCM ou preuves homomorphes), sans rien en révéler
+    const failures = [];
+    const ballotRef = (b) => ({ ballotId: String(b._id), sequence: b.sequence ?? null });
+    if (election.encryption_scheme === 'homomorphic') {
+      const [candidates] = await pool.execute('SELECT id FROM candidates WHERE election_id = ?', [electionId]);
+      const slots = homomorphicSlots(candidates);
+      const params = homomorphicParams(election);
+      for (const ballot of ballots) {
+        let check = { valid: false };
+        try {
+          check = HomomorphicEncryption.verifyBallot(JSON.parse(ballot.encryptedVote), slots, params);
+        } catch {}
+        if (!check.valid) failures.push({ ...ballotRef(ballot), error: 'Preuve à divulgation nulle invalide' });
+      }
+      checks.decryption = { status: status(failures.length === 0), scheme: 'homomorphic', checked: ballots.length, failures };
+    } else if (election.public_key) {
+      // Clé à seuil: la clé privée n'est reconstituée qu'au dépouillement, avec les parts des assesseurs
+      checks.decryption = { status: 'skipped', scheme: ThresholdCrypto.SCHEME, checked: 0, failures, reason: 'Clé privée du scrutin détenue par les assesseurs' };
+    } else if (ElectionLifecycle.is(election.status, 'cancelled')) {
+      // Scrutin annulé: bulletins scellés, jamais déchiffrés (pas même pour un contrôle)
+      checks.decryption = { status: 'skipped', scheme: 'aes-gcm', checked: 0, failures, reason: 'Scrutin annulé: bulletins scellés, non déchiffrés' };
+    } else {
+      const dataKeys = new Map();
+      const unsealed = ballots.filter(b => !b.sealed);
+      for (const ballot of unsealed) {
+        try {
+          await decryptBallot(ballot, electionId, { dataKeys });
+        } catch (error) {
+          failures.push({ ...ballotRef(ballot), error: error.message });
+        }
+      }
+      checks.decryption = unsealed.length === 0 && ballots.length > 0
+        ? { status: 'skipped', scheme: 'aes-gcm', checked: 0, failures, reason: 'Bulletins scellés, non déchiffrés' }
+        : { status: status(failures.length === 0), scheme: 'aes-gcm', checked: unsealed.length, sealedBallots: ballots.length - unsealed.length, failures };
+    }
 
-    await ballot.save();
+    // 4. Bulletins datés hors de la période de vote
+    const start = new Date(election.start_date);
+    const end = new Date(election.end_date);
+    const outside = ballots
+      .filter(b => {
+        const castAt = new Date(b.timestamp ?? b.createdAt);
+        return castAt < start || castAt > end;
+      })
+      .map(b => ({ ...ballotRef(b), castAt: b.timestamp ?? b.createdAt }));
+    checks.timeWindow = { status: status(outside.length === 0), startDate: start, endDate: end, outside };
+
+    // 5. Électeurs émargés alors que leur compte est inactif
+    const [inactive] = await pool.execute(
+      `SELECT vr.voter_id, v.matricule, vr.voted_at
+       FROM voting_records vr JOIN voters v ON v.id = vr.voter_id
+       WHERE vr.election_id = ? AND vr.has_voted = TRUE AND (v.is_active = 0 OR v.is_active IS NULL)`,
+      [electionId]
+    );
+    checks.inactiveVoters = {
+      status: status(inactive.length === 0),
+      voters: inactive.map(r => ({ voterId: r.voter_id, matricule: r.matricule, votedAt: r.voted_at }))
+    };
 
-    // Marquer l'électeur comme ayant voté (MySQL)
-    await pool.execute(
-      'UPDATE voting_records SET has_voted = TRUE, voted_at = NOW() WHERE voter_id = ? AND election_id = ?',
-      [voterId, electionId]
+    // 6. Urne chaînée (et racine publiée à la clôture)
+    const chain = BallotChain.verify(
+      ballots.filter(b => b.sequence != null),
+      { root: election.ballot_chain_root, length: election.ballot_chain_length }
     );
+    checks.ballotChain = { status: status(chain.valid), ...chain, unchainedBallots: ballots.filter(b => b.sequence == null).length };
+
+    const issues = Object.keys(checks).filter(name => checks[name].status === 'fail');
+    const report = {
+      electionId,
+      title: election.title,
+      electionStatus: ElectionLifecycle.normalize(election.status),
+      generatedAt: new Date(),
+      generatedBy: req.user.id,
+      passed: issues.length === 0,
+      issues,
+      checks
+    };
+    const signature = IntegrityReport.sign(report);
+    const reportHash = IntegrityReport.hash(report);
+    await ensureDecisionsTable();
+    await pool.execute('INSERT INTO election_decisions (election_id, decision_type, payload_json, decided_by) VALUES (?, ?, ?, ?)', [electionId, 'integrity_report', JSON.stringify({ reportHash, passed: report.passed, issues, keyId: signature.keyId }), req.user.id]);
+    res.set('Cache-Control', 'no-store');
+    res.json({ success: true, report, reportHash, signature });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Erreur rapport d\'intégrité', error: error.message });
+  }
+});
+
+// Clés publiques de signature des rapports d'intégrité (public)
+app.get('/api/integrity-reports/public-keys', async (req, res) => {
+  try {
+    res.json({ success: true, keys: IntegrityReport.publicKeys() });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Erreur clés de signature', error: error.message });
+  }
+});
+
+// Vérification d'un rapport signé (public) ; body { report, signature } tels que reçus
+app.post('/api/integrity-reports/verify', async (req, res) => {
+  try {
+    const { report, signature } = req.body || {};
+    if (!report || !signature) {
+      return res.status(400).json({ success: false, message: 'report et signature requis' });
+    }
+    res.json({ success: true, ...IntegrityReport.verify(report, signature), reportHash: IntegrityReport.hash(report) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Erreur vérification du rapport', error: error.message });
+  }
+});
 
+// Réconciliation manuelle des votes interrompus d'un scrutin (admin) ; compare ensuite émargements et bulletins
+app.post('/api/elections/:id/reconcile', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.type !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Accès réservé aux administrateurs' });
+    }
+    const electionId = req.params.id;
+    if (!(await assertAdminCanAccessElection(req, res, electionId))) return;
+    const reconciliation = await reconcileVotes(electionId);
+    const [[election]] = await pool.execute('SELECT anonymous_credentials FROM elections WHERE id = ?', [electionId]);
+    const mysqlVotes = await countSignIns(electionId, election);
+    const mongoVotes = await Ballot.countDocuments({ electionId: electionId.toString(), superseded: { $ne: true }, quarantined: { $ne: true } });
     res.json({
       success: true,
-      message: 'Vote enregistré avec succès',
-      receipt: voteHash // Preuve de vote (anonyme)
+      electionId,
+      reconciliation,
+      consistency: { mysqlVotes, mongoVotes, consistent: ballotsMatchSignIns(election, mysqlVotes, mongoVotes) }
     });
-
   } catch (error) {
-    // L'erreur sera gérée par le middleware errorHandler
-    throw error;
+    res.status(500).json({ success: false, message: 'Erreur réconciliation des votes', error: error.message });
   }
-}));
+});
 
-// Route de dépouillement (admin seulement)
-app.post('/api/elections/:id/tally', authenticateToken, async (req, res) => {
+// Dépouillement (admin seulement), exécuté sous le verrou du scrutin (voir la route /tally)
+async function tallyElection(req, res) {
   try {
     if (req.user.type !== 'admin') {
       return res.status(403).json({
@@ -2092,84 +4936,278 @@ app.post('/api/elections/:id/tally', authenticateToken, async (req, res) => {
     }
 
     const electionId = req.params.id;
-    const { decryptionKey } = req.body || {};
-    // La clé est optionnelle pour l'instant: on procède même si elle n'est pas fournie
 
-    // Récupérer tous les bulletins de cette élection
-    const ballots = await Ballot.find({ electionId: electionId.toString() });
-    
-    console.log(`🗳️  Dépouillement: ${ballots.length} bulletins trouvés`);
+    // Dépouillement d'un scrutin clos (ou nouveau dépouillement avant proclamation)
+    const [[electionState]] = await pool.execute('SELECT status FROM elections WHERE id = ?', [electionId]);
+    if (!electionState) {
+      return res.status(404).json({ success: false, message: 'Scrutin non trouvé' });
+    }
+    if (!ElectionLifecycle.canTransition(electionState.status, 'tallied')) {
+      const current = ElectionLifecycle.normalize(electionState.status);
+      return res.status(409).json({ success: false, message: `Dépouillement impossible: scrutin ${current} (clôture requise)`, status: current });
+    }
 
-    // Vérifier la cohérence avec MySQL
-    const [votingRecords] = await pool.execute(
-      'SELECT COUNT(*) as voteCount FROM voting_records WHERE election_id = ? AND has_voted = TRUE',
-      [electionId]
-    );
+    // Votes interrompus: réconciliés avant tout contrôle ; des votes encore en cours d'enregistrement bloquent le dépouillement
+    const reconciliation = await reconcileVotes(electionId);
+    if (reconciliation.pending > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${reconciliation.pending} vote(s) en cours d'enregistrement, réessayez dans quelques minutes`,
+        reconciliation
+      });
+    }
+
+    // Récupérer les bulletins de cette élection (hors bulletins remplacés par un revote ou en quarantaine)
+    // Bulletins scellés (scrutin annulé) jamais déchiffrés
+    const ballots = await Ballot.find({ electionId: electionId.toString(), superseded: { $ne: true }, quarantined: { $ne: true }, sealed: { $ne: true } });
+    const supersededCount = await Ballot.countDocuments({ electionId: electionId.toString(), superseded: true });
+    const quarantinedCount = await Ballot.countDocuments({ electionId: electionId.toString(), quarantined: true, superseded: { $ne: true } });
+    
+    console.log(`🗳️  Dépouillement: ${ballots.length} bulletins trouvés (${supersededCount} remplacés)`);
+
+    // Méthode de décompte du scrutin
+    const [[electionRow]] = await pool.execute('SELECT * FROM elections WHERE id = ?', [electionId]);
+    // Dates d'un éventuel second tour automatique (majorité absolue), contrôlées avant tout déchiffrement
+    const secondRoundDates = nextRoundDates(electionRow, req.body?.secondRound);
+    if (electionRow.absolute_majority && secondRoundDates.error) {
+      return res.status(400).json({ success: false, message: `secondRound: ${secondRoundDates.error}` });
+    }
 
-    const mysqlVoteCount = votingRecords[0].voteCount;
+    // Vérifier la cohérence avec MySQL (vote anonyme: pas plus de bulletins que de jetons délivrés)
+    const mysqlVoteCount = await countSignIns(electionId, electionRow);
     const mongoVoteCount = ballots.length;
+    const consistent = ballotsMatchSignIns(electionRow, mysqlVoteCount, mongoVoteCount);
 
-    if (mysqlVoteCount !== mongoVoteCount) {
+    if (!consistent) {
       return res.status(500).json({
         success: false,
         message: 'Incohérence détectée entre MySQL et MongoDB',
         details: {
           mysqlVotes: mysqlVoteCount,
-          mongoVotes: mongoVoteCount
+          mongoVotes: mongoVoteCount,
+          supersededBallots: supersededCount,
+          quarantinedBallots: quarantinedCount,
+          reconciliation
         }
       });
     }
 
-    // Déchiffrer et compter les votes
-    const voteCount = {};
+    const [contests] = await pool.execute(
+      'SELECT * FROM election_contests WHERE election_id = ? ORDER BY order_position, id',
+      [electionId]
+    );
+    // Déchiffrement à seuil: la clé privée n'est reconstituée qu'avec k parts d'assesseurs
+    let electionPrivateKey = null;
+    let trusteesUsed = [];
+    if (electionRow?.public_key) {
+      // Parts encore détenues par le serveur (assesseur sans clé publique, part non retirée): pas de reconstitution
+      const [pending] = await pool.execute('SELECT admin_id, pending_share FROM election_trustees WHERE election_id = ? AND pending_share IS NOT NULL', [electionId]);
+      const serverHeld = pending.filter(t => JSON.parse(t.pending_share).recipient !== 'trustee').map(t => t.admin_id);
+      if (serverHeld.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `${serverHeld.length} part(s) d'assesseur encore détenue(s) par le serveur: retrait requis avant le dépouillement`,
+          trustees: { notRetrieved: serverHeld }
+        });
+      }
+      const [submitted] = await pool.execute(
+        'SELECT admin_id, submitted_share FROM election_trustees WHERE election_id = ? AND submitted_share IS NOT NULL',
+        [electionId]
+      );
+      const threshold = electionRow.trustee_threshold || 1;
+      if (submitted.length < threshold) {
+        return res.status(409).json({
+          success: false,
+          message: `Parts des assesseurs insuffisantes: ${submitted.length}/${threshold} requises`,
+          trustees: { submitted: submitted.length, threshold }
+        });
+      }
+      const shares = [];
+      for (const t of submitted) {
+        const { share } = await openForElection(electionId, JSON.parse(t.submitted_share), `trustee-${electionId}-${t.admin_id}`);
+        shares.push(share);
+      }
+      try {
+        electionPrivateKey = ThresholdCrypto.recoverPrivateKey(shares, electionRow.public_key);
+      } catch (keyErr) {
+        return res.status(409).json({ success: false, message: keyErr.message });
+      }
+      trusteesUsed = submitted.map(t => t.admin_id);
+    }
+
+    const votingMethod = contests.length > 0
+      ? 'contests'
+      : electionRow?.election_type === 'referendum' ? 'referendum' : (electionRow?.voting_method || 'plurality');
+
+    // Récupérer les noms des candidats
+    const [candidates] = await pool.execute(
+      'SELECT id, name, option_role, contest_id FROM candidates WHERE election_id = ?',
+      [electionId]
+    );
+
+    // Déchiffrer les votes
+    const decryptedVotes = [];
+    const talliedBallotIds = [];
     let decryptedCount = 0;
+    // Bulletins indéchiffrables ou non authentiques (altérés, clé absente du trousseau): jamais comptés comme nuls
+    const decryptionFailures = [];
+    const ballotRef = (b) => ({ ballotId: String(b._id), sequence: b.sequence ?? null });
+
+    // Scrutin homomorphe: preuves vérifiées bulletin par bulletin, chiffrés agrégés case par case,
+    // seules les sommes sont déchiffrées (aucun bulletin n'est déchiffré individuellement)
+    const homomorphic = electionRow?.encryption_scheme === 'homomorphic';
+    let homomorphicTotals = null;
+    if (homomorphic) {
+      const [[secretRow]] = await pool.execute('SELECT wrapped_secret FROM election_secrets WHERE election_id = ?', [electionId]);
+      if (!secretRow || !electionRow.homomorphic_public_key) {
+        return res.status(409).json({ success: false, message: 'Clé homomorphe du scrutin introuvable' });
+      }
+      const { secretKey } = await openForElection(electionId, JSON.parse(secretRow.wrapped_secret), `homomorphic-${electionId}`);
+      const slots = homomorphicSlots(candidates);
+      const params = homomorphicParams(electionRow);
+      const bySlot = Object.fromEntries(slots.map(slot => [slot, []]));
+      for (const ballot of ballots) {
+        let check = { valid: false };
+        try {
+          check = HomomorphicEncryption.verifyBallot(JSON.parse(ballot.encryptedVote), slots, params);
+        } catch {}
+        if (!check.valid) {
+          console.error('❌ Bulletin homomorphe rejeté (preuve invalide):', String(ballot._id));
+          decryptionFailures.push({ ...ballotRef(ballot), error: 'Preuve à divulgation nulle invalide' });
+          continue;
+        }
+        slots.forEach(slot => bySlot[slot].push(check.ciphertexts[slot]));
+        talliedBallotIds.push(ballot._id);
+      }
+      homomorphicTotals = Object.fromEntries(slots.map(slot => [
+        slot,
+        HomomorphicEncryption.decryptSum(HomomorphicEncryption.aggregate(bySlot[slot]), secretKey, talliedBallotIds.length)
+      ]));
+    }
 
-    for (const ballot of ballots) {
+    // Clés de données par keyId, dés-enveloppées une seule fois pour tout le dépouillement
+    const dataKeys = new Map();
+    for (const ballot of homomorphic ? [] : ballots) {
       try {
-        const encryptedData = JSON.parse(ballot.encryptedVote);
-        const voteData = VoteEncryption.decryptVote(
-          encryptedData.encryptedData,
-          electionId.toString(),
-          encryptedData.iv,
-          encryptedData.authTag
-        );
+        const voteData = await decryptBallot(ballot, electionId, { dataKeys, privateKey: electionPrivateKey });
 
-        const candidateId = voteData.candidateId;
-        voteCount[candidateId] = (voteCount[candidateId] || 0) + 1;
+        decryptedVotes.push(voteData);
+        talliedBallotIds.push(ballot._id);
         decryptedCount++;
 
       } catch (decryptError) {
         console.error('❌ Erreur déchiffrement bulletin:', decryptError);
+        decryptionFailures.push({ ...ballotRef(ballot), error: decryptError.message });
       }
     }
 
-    // Récupérer les noms des candidats
-    const [candidates] = await pool.execute(
-      'SELECT id, name FROM candidates WHERE election_id = ?',
-      [electionId]
-    );
-
-    const candidateMap = {};
-    candidates.forEach(candidate => {
-      candidateMap[candidate.id] = candidate.name;
-    });
-
-    // Préparer les résultats
-    const results = Object.keys(voteCount).map(candidateId => ({
-      candidateId: candidateId,
-      candidateName: candidateMap[candidateId] || 'Candidat inconnu',
-      votes: voteCount[candidateId],
-      percentage: ((voteCount[candidateId] / ballots.length) * 100).toFixed(2)
-    }));
+    // Aucun résultat enregistré tant qu'un bulletin ne peut être déchiffré ou authentifié (voir le rapport d'intégrité)
+    const failedDecryptions = decryptionFailures.length;
+    if (failedDecryptions > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${failedDecryptions} bulletin(s) indéchiffrable(s) ou non authentique(s): dépouillement non enregistré`,
+        failedDecryptions,
+        failures: decryptionFailures
+      });
+    }
 
-    // Trier par nombre de votes (décroissant)
-    results.sort((a, b) => b.votes - a.votes);
+    let summaryJson;
+    let winner = null;
+    let blankVotes = 0;
+    let nullVotes = 0;
+    let expressedVotes = 0;
+    let results = [];
+    let details = {};
+    let tie = false;
+    let tiedCandidates = [];
+    let weightedSummary = {};
+
+    if (contests.length > 0) {
+      // Un décompte par question, chacun avec sa méthode, ses candidats et ses blancs/nuls
+      const contestResults = contests.map(contest => {
+        const key = String(contest.id);
+        const outcome = countBallots(
+          {
+            method: contest.contest_type === 'referendum' ? 'referendum' : (contest.voting_method || 'plurality'),
+            seats: contest.seats || 1,
+            threshold: contest.majority_threshold
+          },
+          decryptedVotes.map(v => BallotValidator.normalize({ ...(v?.contests?.[key] ?? {}), weight: v?.weight })),
+          candidates.filter(c => String(c.contest_id) === key)
+        );
+        return { contestId: contest.id, title: contest.title, ...outcome };
+      });
+      tie = contestResults.some(c => c.tie);
+      summaryJson = { method: votingMethod, contests: contestResults, list: [], tie, tiedCandidates: [] };
+      details = { contests: contestResults };
+    } else {
+      // Compter selon la méthode (uninominal, vote alternatif, choix multiples…), pourcentages rapportés aux suffrages exprimés
+      const countRules = { method: votingMethod, seats: electionRow?.seats || 1, threshold: electionRow?.majority_threshold };
+      const outcome = homomorphic
+        ? countHomomorphicTotals(countRules, homomorphicTotals, candidates, { verified: talliedBallotIds.length })
+        : countBallots(countRules, decryptedVotes.map(v => BallotValidator.normalize(v)), candidates);
+      const { winner: outcomeWinner, ...counted } = outcome;
+      const { list, method: _method, blankVotes: _blank, nullVotes: _null, expressedVotes: _expressed, weighted: _weighted, expressedWeight, ...rest } = counted;
+      weightedSummary = counted.weighted ? { expressedWeight } : {};
+      summaryJson = counted;
+      winner = outcomeWinner;
+      ({ blankVotes, nullVotes, expressedVotes } = counted);
+      ({ tie, tiedCandidates, ...details } = rest);
+      results = list;
+    }
 
-    // Déterminer vainqueur et égalités
-    const topVotes = results.length > 0 ? results[0].votes : 0;
-    const tiedCandidates = results.filter(r => r.votes === topVotes);
-    const tie = tiedCandidates.length > 1 && topVotes > 0;
-    const winner = tie ? null : (results[0] || null);
+    // Quorum: participation calculée sur voting_records ; pour plusieurs questions, chaque question doit atteindre le minimum d'exprimés
+    const [[roll]] = await pool.execute('SELECT COUNT(*) as eligibleVoters FROM voting_records WHERE election_id = ?', [electionId]);
+    const quorum = TallyEngine.quorum(
+      { minTurnout: electionRow?.min_turnout, minValidVotes: electionRow?.min_valid_votes },
+      {
+        eligibleVoters: Number(roll.eligibleVoters),
+        votersWhoVoted: electionRow?.anonymous_credentials ? mongoVoteCount : mysqlVoteCount,
+        validVotes: contests.length > 0 ? Math.min(...summaryJson.contests.map(c => c.expressedVotes)) : expressedVotes
+      }
+    );
+    summaryJson = { ...summaryJson, quorum };
+    if (!quorum.met) console.warn(`⚠️  Quorum non atteint pour le scrutin ${electionId}:`, quorum.failures.join(', '));
+
+    // Majorité absolue: sans candidat au-delà de 50 % des exprimés, pas d'élu et second tour entre les deux premiers
+    let absoluteMajority = null;
+    if (electionRow?.absolute_majority && contests.length === 0) {
+      const expressedTotal = summaryJson.expressedWeight ?? expressedVotes;
+      const leader = results[0];
+      const reached = Boolean(leader) && leader.votes * 2 > expressedTotal;
+      absoluteMajority = { required: true, reached, secondRoundElectionId: null };
+      if (!reached && results.length >= 2 && results[1].votes > 0) {
+        winner = null;
+        tie = false;
+        tiedCandidates = [];
+        // Ex aequo à la deuxième place: tous qualifiés
+        const qualified = results.filter(r => r.votes >= results[1].votes);
+        absoluteMajority.qualified = qualified;
+        const [[existing]] = await pool.execute('SELECT id FROM elections WHERE previous_round_id = ? LIMIT 1', [electionId]);
+        if (existing) {
+          absoluteMajority.secondRoundElectionId = existing.id;
+        } else if (quorum.met) {
+          const { startDate, endDate } = secondRoundDates;
+          // Second tour à la majorité relative: pas de troisième tour
+          const { newElectionId, eligibleVoters } = await createNextRound(electionRow, {
+            title: `${electionRow.title} — Second tour`,
+            candidateIds: qualified.map(r => r.candidateId),
+            startDate,
+            endDate,
+            votingMethod: 'plurality',
+            maxVotes: 1,
+            seats: 1,
+            absoluteMajority: false,
+            createdBy: req.user.id
+          });
+          absoluteMajority.secondRoundElectionId = newElectionId;
+          await ensureDecisionsTable();
+          await pool.execute('INSERT INTO election_decisions (election_id, decision_type, payload_json, decided_by) VALUES (?, ?, ?, ?)', [electionId, 'second_round_auto', JSON.stringify({ candidateIds: qualified.map(r => r.candidateId), newElectionId, eligibleVoters, startDate, endDate }), req.user.id]);
+        }
+      }
+      summaryJson = { ...summaryJson, tie, tiedCandidates, absoluteMajority };
+    }
 
     // Persister un résumé en MySQL (table election_results)
     try {
@@ -2183,16 +5221,17 @@ app.post('/api/elections/:id/tally', authenticateToken, async (req, res) => {
           proclaimed_at TIMESTAMP NULL,
           winner_id INT NULL,
           winner_name VARCHAR(255) NULL,
+          quorum_met TINYINT(1) NULL,
           updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
         ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
       `);
 
       const doUpsert = async () => {
         await pool.execute(
-          `INSERT INTO election_results (election_id, total_votes, results_json, winner_id, winner_name)
-           VALUES (?, ?, ?, ?, ?)
-           ON DUPLICATE KEY UPDATE total_votes = VALUES(total_votes), results_json = VALUES(results_json), winner_id = VALUES(winner_id), winner_name = VALUES(winner_name)`,
-          [electionId, ballots.length, JSON.stringify({ list: results, tie, tiedCandidates }), winner ? parseInt(winner.candidateId, 10) : null, winner ? winner.candidateName : null]
+          `INSERT INTO election_results (election_id, total_votes, results_json, winner_id, winner_name, quorum_met)
+           VALUES (?, ?, ?, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE total_votes = VALUES(total_votes), results_json = VALUES(results_json), winner_id = VALUES(winner_id), winner_name = VALUES(winner_name), quorum_met = VALUES(quorum_met)`,
+          [electionId, ballots.length, JSON.stringify(summaryJson), winner ? parseInt(winner.candidateId, 10) : null, winner ? winner.candidateName : null, quorum.met ? 1 : 0]
         );
       };
 
@@ -2200,7 +5239,7 @@ app.post('/api/elections/:id/tally', authenticateToken, async (req, res) => {
         await doUpsert();
       } catch (upErr) {
         const msg = (upErr?.message || '').toLowerCase();
-        if (msg.includes('unknown column') && (msg.includes('winner_id') || msg.includes('winner_name') || msg.includes('proclaimed'))) {
+        if (msg.includes('unknown column') && (msg.includes('winner_id') || msg.includes('winner_name') || msg.includes('proclaimed') || msg.includes('quorum_met'))) {
           console.warn('⚠️  Colonnes manquantes dans election_results, tentative de migration…');
           try {
             await pool.execute('ALTER TABLE election_results ADD COLUMN winner_id INT NULL');
@@ -2214,6 +5253,9 @@ app.post('/api/elections/:id/tally', authenticateToken, async (req, res) => {
           try {
             await pool.execute('ALTER TABLE election_results ADD COLUMN proclaimed_at TIMESTAMP NULL');
           } catch {}
+          try {
+            await pool.execute('ALTER TABLE election_results ADD COLUMN quorum_met TINYINT(1) NULL');
+          } catch {}
           await doUpsert();
           console.log('✅ Migration election_results OK, upsert rejoué');
         } else {
@@ -2224,27 +5266,62 @@ app.post('/api/elections/:id/tally', authenticateToken, async (req, res) => {
       console.warn('⚠️  Persistance des résultats échouée:', persistErr.message);
     }
 
+    // Parts consommées: effacées après usage (un nouveau dépouillement exige de nouvelles soumissions)
+    if (electionPrivateKey) {
+      electionPrivateKey = null;
+      await pool.execute('UPDATE election_trustees SET submitted_share = NULL WHERE election_id = ?', [electionId]);
+      await ensureDecisionsTable();
+      await pool.execute('INSERT INTO election_decisions (election_id, decision_type, payload_json, decided_by) VALUES (?, ?, ?, ?)', [electionId, 'threshold_decryption', JSON.stringify({ trustees: trusteesUsed, threshold: electionRow.trustee_threshold }), req.user.id]);
+    }
+
+    // Marquer les bulletins pris en compte (vérification publique des reçus)
+    try {
+      const talliedAt = new Date();
+      await Ballot.updateMany({ electionId: electionId.toString(), talliedAt: { $ne: null } }, { $set: { talliedAt: null } });
+      await Ballot.updateMany({ _id: { $in: talliedBallotIds } }, { $set: { talliedAt } });
+    } catch (markErr) {
+      console.warn('⚠️  Marquage des bulletins dépouillés échoué:', markErr.message);
+    }
+
+    await transitionElection(electionId, 'tallied', { actorId: req.user.id, payload: { totalVotes: ballots.length, quorumMet: quorum.met } });
+
     res.json({
       success: true,
       message: 'Dépouillement terminé avec succès',
       electionId: electionId,
       summary: {
         totalVotes: ballots.length,
+        blankVotes,
+        nullVotes,
+        expressedVotes,
+        ...weightedSummary,
         decryptedVotes: decryptedCount,
-        failedDecryptions: ballots.length - decryptedCount
+        failedDecryptions,
+        ...(homomorphic && { encryptionScheme: 'homomorphic', verifiedBallots: talliedBallotIds.length, homomorphicTotals })
       },
       consistency: {
         mysqlVotes: mysqlVoteCount,
         mongoVotes: mongoVoteCount,
-        status: mysqlVoteCount === mongoVoteCount ? '✅ COHÉRENT' : '❌ INCOHÉRENT'
+        supersededBallots: supersededCount,
+        quarantinedBallots: quarantinedCount,
+        reconciliation,
+        ...(electionRow?.anonymous_credentials && { anonymousCredentials: true }),
+        status: consistent ? '✅ COHÉRENT' : '❌ INCOHÉRENT'
       },
+      quorum,
+      ...(absoluteMajority && { absoluteMajority }),
+      method: votingMethod,
       results: results,
+      ...details,
       tie,
       tiedCandidates,
       winner: winner
     });
 
   } catch (error) {
+    if (error instanceof LifecycleError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, status: error.from });
+    }
     console.error('Erreur dépouillement:', error);
     res.status(500).json({
       success: false,
@@ -2252,6 +5329,17 @@ app.post('/api/elections/:id/tally', authenticateToken, async (req, res) => {
       error: error.message
     });
   }
+}
+
+// Route de dépouillement: contrôle d'état, résultats, second tour et transition vers tallied sous le verrou du scrutin,
+// sans annulation ni autre dépouillement concurrents
+app.post('/api/elections/:id/tally', authenticateToken, async (req, res) => {
+  try {
+    await withElectionLock(req.params.id, () => tallyElection(req, res));
+  } catch (error) {
+    // Verrou non obtenu (opération en cours sur ce scrutin)
+    if (!res.headersSent) res.status(409).json({ success: false, message: error.message });
+  }
 });
 
 // Lecture des résultats persistés (admin ou électeur connecté selon besoin)
@@ -2262,9 +5350,26 @@ app.get('/api/elections/:id/results', authenticateToken, async (req, res) => {
     if (req.user?.type === 'admin' && req.user?.institution_id) {
       if (!(await assertAdminCanAccessElection(req, res, electionId))) return;
     }
+    // Scrutin annulé (éventuellement archivé depuis): résultats sans effet, ni proclamation ni élu
+    const [[election]] = await pool.execute('SELECT status, archived_from_status FROM elections WHERE id = ?', [electionId]);
+    if (election && (ElectionLifecycle.is(election.status, 'cancelled') || (ElectionLifecycle.is(election.status, 'archived') && ElectionLifecycle.is(election.archived_from_status, 'cancelled')))) {
+      await ensureDecisionsTable();
+      const [[annulment]] = await pool.execute(
+        "SELECT payload_json, decided_at FROM election_decisions WHERE election_id = ? AND decision_type IN ('annulment', 'cancellation') ORDER BY id DESC LIMIT 1",
+        [electionId]
+      );
+      const payload = annulment ? (typeof annulment.payload_json === 'string' ? JSON.parse(annulment.payload_json) : annulment.payload_json) : null;
+      return res.status(409).json({
+        success: false,
+        message: 'Scrutin annulé: aucun résultat valable',
+        status: 'cancelled',
+        cancelled: true,
+        annulment: { reason: payload?.reason ?? null, decidedAt: annulment?.decided_at ?? null }
+      });
+    }
     // Table créée lors du tally si inexistante
     const [rows] = await pool.execute(
-      'SELECT total_votes, results_json, proclaimed, proclaimed_at, winner_id, winner_name, updated_at FROM election_results WHERE election_id = ?',[electionId]
+      'SELECT * FROM election_results WHERE election_id = ?',[electionId]
     );
     if (rows.length === 0) {
       return res.status(404).json({ success: false, message: 'Aucun résultat disponible pour ce scrutin' });
@@ -2279,6 +5384,7 @@ app.get('/api/elections/:id/results', authenticateToken, async (req, res) => {
       proclaimed: rows[0].proclaimed === 1,
       proclaimedAt: rows[0].proclaimed_at,
       winner: rows[0].winner_id ? { id: rows[0].winner_id, name: rows[0].winner_name } : null,
+      quorumMet: rows[0].quorum_met == null ? null : rows[0].quorum_met === 1,
       updatedAt: rows[0].updated_at
     });
   } catch (error) {
@@ -2294,8 +5400,31 @@ app.post('/api/elections/:id/proclaim', authenticateToken, async (req, res) => {
     }
     const electionId = req.params.id;
     if (!(await assertAdminCanAccessElection(req, res, electionId))) return;
-    const [rows] = await pool.execute('SELECT results_json, winner_id, winner_name FROM election_results WHERE election_id = ?', [electionId]);
+    const [[electionState]] = await pool.execute('SELECT status FROM elections WHERE id = ?', [electionId]);
+    if (!ElectionLifecycle.canTransition(electionState.status, 'proclaimed')) {
+      const current = ElectionLifecycle.normalize(electionState.status);
+      return res.status(409).json({ success: false, message: `Proclamation impossible: scrutin ${current} (dépouillement requis)`, status: current });
+    }
+    const [rows] = await pool.execute('SELECT * FROM election_results WHERE election_id = ?', [electionId]);
     if (rows.length === 0) return res.status(404).json({ success: false, message: 'Aucun résultat à proclamer' });
+    // Quorum non atteint: proclamation bloquée sauf dérogation motivée et journalisée
+    const quorumFailed = rows[0].quorum_met === 0;
+    const { overrideQuorum, reason } = req.body || {};
+    if (quorumFailed && !overrideQuorum) {
+      return res.status(409).json({
+        success: false,
+        message: 'Quorum non atteint: scrutin invalide, proclamation impossible sans dérogation',
+        quorum: parseResultsJson(rows[0].results_json)?.quorum || null
+      });
+    }
+    if (quorumFailed) {
+      if (!reason || !String(reason).trim()) {
+        return res.status(400).json({ success: false, message: 'reason requis pour déroger au quorum' });
+      }
+      await ensureDecisionsTable();
+      await pool.execute('INSERT INTO election_decisions (election_id, decision_type, payload_json, decided_by) VALUES (?, ?, ?, ?)', [electionId, 'quorum_override', JSON.stringify({ reason: String(reason).trim(), quorum: parseResultsJson(rows[0].results_json)?.quorum || null }), req.user.id]);
+    }
+    await transitionElection(electionId, 'proclaimed', { actorId: req.user.id, payload: { quorumOverridden: quorumFailed } });
     await pool.execute('UPDATE election_results SET proclaimed = 1, proclaimed_at = NOW() WHERE election_id = ?', [electionId]);
     const [[after]] = await pool.execute('SELECT total_votes, results_json, proclaimed, proclaimed_at, winner_id, winner_name, updated_at FROM election_results WHERE election_id = ?', [electionId]);
     res.json({
@@ -2304,9 +5433,13 @@ app.post('/api/elections/:id/proclaim', authenticateToken, async (req, res) => {
       electionId,
       proclaimed: after.proclaimed === 1,
       proclaimedAt: after.proclaimed_at,
+      quorumOverridden: quorumFailed,
       winner: after.winner_id ? { id: after.winner_id, name: after.winner_name } : null
     });
   } catch (error) {
+    if (error instanceof LifecycleError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, status: error.from });
+    }
     res.status(500).json({ success: false, message: 'Erreur proclamation', error: error.message });
   }
 });
\ No newline at end of file
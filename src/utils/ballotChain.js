@@ -0,0 +1,85 @@
+import crypto from 'crypto';
+
+/**
+ * Urne chaînée: chaque bulletin porte l'empreinte du précédent (hash courant par scrutin).
+ * Supprimer, insérer ou modifier un bulletin casse la chaîne à partir de ce maillon.
+ */
+
+export class BallotChain {
+  static GENESIS = '0'.repeat(64);
+
+  /**
+   * Empreinte d'un maillon: hash précédent + contenu immuable du bulletin
+   * (les indicateurs de revote et de dépouillement, modifiables, n'en font pas partie)
+   * @param {string} previousHash - Empreinte du maillon précédent (GENESIS pour le premier)
+   * @param {{ electionId: string, sequence: number, voteHash: string, encryptedVote: string, revoteHash?: string }} ballot
+   * @returns {string} - Empreinte hexadécimale (sha256)
+   */
+  static computeHash(previousHash, ballot) {
+    return crypto
+      .createHash('sha256')
+      .update([
+        previousHash,
+        ballot.electionId,
+        ballot.sequence,
+        ballot.voteHash,
+        ballot.encryptedVote,
+        ballot.revoteHash || ''
+      ].join('|'))
+      .digest('hex');
+  }
+
+  /**
+   * Recalcule la chaîne d'un scrutin et localise le premier maillon rompu
+   * @param {Array<object>} ballots - Bulletins chaînés du scrutin, triés par sequence croissante
+   * @param {{ root?: string|null, length?: number|null }} [published] - Racine publiée à la clôture
+   * @returns {{ valid: boolean, length: number, root: string, firstBrokenLink: object|null, published: object|null }}
+   */
+  static verify(ballots, published = {}) {
+    let previousHash = this.GENESIS;
+    let firstBrokenLink = null;
+
+    for (let i = 0; i < ballots.length; i++) {
+      const ballot = ballots[i];
+      const expectedSequence = i + 1;
+      const link = { sequence: expectedSequence, ballotId: String(ballot._id ?? ''), voteHash: ballot.voteHash };
+      if (ballot.sequence !== expectedSequence) {
+        // Trou (bulletin supprimé) ou doublon (bulletin inséré)
+        firstBrokenLink = { ...link, sequence: ballot.sequence, expectedSequence, reason: 'sequence_gap' };
+        break;
+      }
+      if (ballot.previousHash !== previousHash) {
+        firstBrokenLink = { ...link, reason: 'previous_hash_mismatch' };
+        break;
+      }
+      const recomputed = this.computeHash(previousHash, ballot);
+      if (ballot.chainHash !== recomputed) {
+        firstBrokenLink = { ...link, reason: 'content_altered' };
+        break;
+      }
+      previousHash = recomputed;
+    }
+
+    const length = ballots.length;
+    let publishedCheck = null;
+    if (published.root) {
+      // Racine publiée: détecte aussi les bulletins retirés ou ajoutés en fin de chaîne après la clôture
+      const publishedLength = Number(published.length);
+      const match = ballots[publishedLength - 1]?.chainHash === published.root || (publishedLength === 0 && published.root === this.GENESIS);
+      publishedCheck = { root: published.root, length: publishedLength, matches: match && length === publishedLength };
+      if (!firstBrokenLink && !publishedCheck.matches) {
+        firstBrokenLink = length < publishedLength
+          ? { sequence: length + 1, reason: 'truncated_after_close' }
+          : { sequence: match ? publishedLength + 1 : publishedLength, reason: match ? 'appended_after_close' : 'root_mismatch' };
+      }
+    }
+
+    return {
+      valid: firstBrokenLink === null,
+      length,
+      root: length > 0 ? ballots[length - 1].chainHash : this.GENESIS,
+      firstBrokenLink,
+      published: publishedCheck
+    };
+  }
+}
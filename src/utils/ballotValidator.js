@@ -0,0 +1,170 @@
+import { TallyEngine } from './tally.js';
+
+/**
+ * Validation du contenu d'un bulletin avant chiffrement
+ */
+
+export class BallotValidator {
+  /**
+   * Valide la sélection soumise selon les règles de vote du scrutin
+   * @param {{ method: string, maxVotes?: number }} rules - Méthode de vote et nombre maximal de choix (max_votes)
+   * @param {object} body - Corps de la requête de vote ({ candidateId }, { ranking }, { candidateIds } ou { blank: true })
+   * @param {Array<{ id: number }>} candidates - Candidats du scrutin
+   * @returns {{ valid: boolean, errors: string[], selection: object|null }} - selection normalisée (ids en chaînes)
+   */
+  static validate(rules, body, candidates) {
+    const { method, maxVotes } = rules;
+    const validIds = new Set(candidates.map(c => String(c.id)));
+
+    // Vote blanc explicite: accepté quelle que soit la méthode, sans autre sélection
+    if (body?.blank === true) {
+      const hasSelection = body.candidateId != null || Array.isArray(body.ranking) || Array.isArray(body.candidateIds);
+      if (hasSelection) {
+        return { valid: false, errors: ['Un vote blanc ne peut pas contenir de candidat'], selection: null };
+      }
+      return { valid: true, errors: [], selection: { blank: true } };
+    }
+
+    if (TallyEngine.isRanked(method)) {
+      return this.validateRanking(body?.ranking, validIds);
+    }
+
+    if (TallyEngine.isMultiChoice(method)) {
+      return this.validateMultiChoice(body?.candidateIds, validIds, Math.max(1, Number(maxVotes) || 1));
+    }
+
+    const candidateId = body?.candidateId;
+    if (candidateId == null || candidateId === '') {
+      return { valid: false, errors: ['ID du candidat requis'], selection: null };
+    }
+    if (!validIds.has(String(candidateId))) {
+      return { valid: false, errors: ['Candidat non valide pour ce scrutin'], selection: null };
+    }
+    return { valid: true, errors: [], selection: { candidateId: String(candidateId) } };
+  }
+
+  /**
+   * Valide un bulletin combiné (scrutin à plusieurs questions)
+   * @param {Array<{ id: number, title: string, voting_method: string, max_votes: number }>} contests - Questions du scrutin
+   * @param {object|Array} submitted - { [contestId]: sélection } ou [{ contestId, ...sélection }]
+   * @param {Array<{ id: number, contest_id: number }>} candidates - Candidats du scrutin, rattachés à leur question
+   * @returns {{ valid: boolean, errors: string[], selection: object|null }} - selection: { contests: { [contestId]: sélection } }
+   */
+  static validateContests(contests, submitted, candidates) {
+    let byContest = submitted;
+    if (Array.isArray(submitted)) {
+      byContest = Object.fromEntries(submitted.map(({ contestId, ...selection }) => [String(contestId), selection]));
+    }
+    if (!byContest || typeof byContest !== 'object') {
+      return { valid: false, errors: ['contests (une sélection par question) requis'], selection: null };
+    }
+
+    const errors = [];
+    const knownIds = new Set(contests.map(c => String(c.id)));
+    for (const key of Object.keys(byContest)) {
+      if (!knownIds.has(key)) errors.push(`Question inconnue pour ce scrutin: ${key}`);
+    }
+
+    // Chaque question reçoit une sélection explicite (le vote blanc reste possible question par question)
+    const selections = {};
+    for (const contest of contests) {
+      const key = String(contest.id);
+      if (byContest[key] == null) {
+        errors.push(`${contest.title}: sélection requise (ou blank: true)`);
+        continue;
+      }
+      const result = this.validate(
+        { method: contest.voting_method, maxVotes: contest.max_votes },
+        byContest[key],
+        candidates.filter(c => String(c.contest_id) === key)
+      );
+      if (result.valid) selections[key] = result.selection;
+      else errors.push(...result.errors.map(e => `${contest.title}: ${e}`));
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      selection: errors.length === 0 ? { contests: selections } : null
+    };
+  }
+
+  /**
+   * Valide un classement: tableau ordonné d'ids, sans doublon, au moins un choix
+   */
+  static validateRanking(ranking, validIds) {
+    const errors = [];
+    if (!Array.isArray(ranking) || ranking.length === 0) {
+      return { valid: false, errors: ['ranking (tableau ordonné de candidats) requis'], selection: null };
+    }
+    const ids = ranking.map(id => String(id));
+    if (ids.some(id => !validIds.has(id))) {
+      errors.push('Le classement contient un candidat non valide pour ce scrutin');
+    }
+    if (new Set(ids).size !== ids.length) {
+      errors.push('Un candidat ne peut être classé qu\'une seule fois');
+    }
+    return {
+      valid: errors.length === 0,
+      errors,
+      selection: errors.length === 0 ? { ranking: ids } : null
+    };
+  }
+
+  /**
+   * Valide un bulletin à choix multiples: 1..maxVotes candidats distincts
+   */
+  static validateMultiChoice(candidateIds, validIds, maxVotes) {
+    const errors = [];
+    if (!Array.isArray(candidateIds) || candidateIds.length === 0) {
+      return { valid: false, errors: ['candidateIds (au moins un candidat) requis'], selection: null };
+    }
+    const ids = candidateIds.map(id => String(id));
+    if (ids.some(id => !validIds.has(id))) {
+      errors.push('La sélection contient un candidat non valide pour ce scrutin');
+    }
+    if (new Set(ids).size !== ids.length) {
+      errors.push('Un candidat ne peut être sélectionné qu\'une seule fois');
+    }
+    if (ids.length > maxVotes) {
+      errors.push(`Vous ne pouvez sélectionner que ${maxVotes} candidat(s) au maximum`);
+    }
+    return {
+      valid: errors.length === 0,
+      errors,
+      selection: errors.length === 0 ? { candidateIds: ids } : null
+    };
+  }
+
+  /**
+   * Ramène un bulletin déchiffré (ancien ou nouveau format) à une liste de choix
+   * @param {object} voteData - Contenu déchiffré du bulletin
+   * @returns {{ choices: string[], blank: boolean, weight: number }} - Choix par ordre de préférence (ou ensemble coché) et poids du bulletin
+   */
+  static normalize(voteData) {
+    const blank = voteData?.blank === true;
+    const weight = TallyEngine.weightOf(voteData ?? {});
+    const list = voteData?.ranking ?? voteData?.candidateIds;
+    if (Array.isArray(list)) {
+      return { choices: list.map(id => String(id)), blank, weight };
+    }
+    return { choices: voteData?.candidateId != null ? [String(voteData.candidateId)] : [], blank, weight };
+  }
+
+  /**
+   * Qualifie un bulletin normalisé pour le dépouillement
+   * - blank: vote blanc explicite
+   * - null: bulletin nul (aucun choix, candidat inconnu ou doublon)
+   * - valid: suffrage exprimé
+   * @param {{ choices: string[], blank: boolean }} ballot - Bulletin normalisé
+   * @param {Set<string>} validIds - Ids des candidats du scrutin
+   * @returns {'blank'|'null'|'valid'}
+   */
+  static classify(ballot, validIds) {
+    if (ballot.blank) return ballot.choices.length === 0 ? 'blank' : 'null';
+    if (ballot.choices.length === 0) return 'null';
+    if (ballot.choices.some(id => !validIds.has(id))) return 'null';
+    if (new Set(ballot.choices).size !== ballot.choices.length) return 'null';
+    return 'valid';
+  }
+}
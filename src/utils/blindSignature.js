@@ -0,0 +1,127 @@
+import crypto from 'crypto';
+
+/**
+ * Signatures aveugles RSA (RSA-FDH) pour les jetons de vote anonymes.
+ * L'électeur masque un jeton aléatoire (blind), le serveur le signe sans le voir (signBlinded),
+ * l'électeur démasque la signature (unblind) puis vote avec { token, signature } : le serveur
+ * vérifie son droit de vote (verify) sans pouvoir rattacher le bulletin à la délivrance du jeton.
+ */
+
+const toBigInt = (buf) => BigInt(`0x${buf.toString('hex') || '0'}`);
+const toBuffer = (x, length) => Buffer.from(x.toString(16).padStart(length * 2, '0'), 'hex');
+const fromBase64url = (value) => Buffer.from(String(value), 'base64url');
+
+function modPow(base, exp, m) {
+  let result = 1n;
+  let b = base % m;
+  let e = exp;
+  while (e > 0n) {
+    if (e & 1n) result = (result * b) % m;
+    b = (b * b) % m;
+    e >>= 1n;
+  }
+  return result;
+}
+
+// Inverse modulaire (Euclide étendu) ; null si a et m ne sont pas premiers entre eux
+function modInverse(a, m) {
+  let [oldR, r] = [a % m, m];
+  let [oldS, s] = [1n, 0n];
+  while (r !== 0n) {
+    const q = oldR / r;
+    [oldR, r] = [r, oldR - q * r];
+    [oldS, s] = [s, oldS - q * s];
+  }
+  return oldR === 1n ? ((oldS % m) + m) % m : null;
+}
+
+export class BlindSignature {
+  static MODULUS_BITS = 2048;
+
+  /**
+   * @returns {{ publicKey: { kty: string, n: string, e: string }, privateKey: string }} - clé publique JWK, clé privée PEM (PKCS#8)
+   */
+  static generateKeyPair() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: this.MODULUS_BITS, publicExponent: 65537 });
+    const { kty, n, e } = publicKey.export({ format: 'jwk' });
+    return { publicKey: { kty, n, e }, privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }) };
+  }
+
+  static modulus(publicKey) {
+    const n = fromBase64url(publicKey.n);
+    return { n: toBigInt(n), e: toBigInt(fromBase64url(publicKey.e)), length: n.length };
+  }
+
+  /**
+   * Empreinte pleine largeur du jeton (MGF1-SHA256), liée au scrutin
+   */
+  static fdh(token, electionId, publicKey) {
+    const { n, length } = this.modulus(publicKey);
+    const seed = `votux-credential|${electionId}|${token}`;
+    const blocks = [];
+    for (let i = 0; blocks.length * 32 < length; i++) {
+      const counter = Buffer.alloc(4);
+      counter.writeUInt32BE(i);
+      blocks.push(crypto.createHash('sha256').update(seed).update(counter).digest());
+    }
+    return toBigInt(Buffer.concat(blocks).subarray(0, length)) % n;
+  }
+
+  /**
+   * Côté électeur: masque le jeton ; r est à conserver pour démasquer la signature
+   * @returns {{ blinded: string, r: string }} - blinded en base64url, r en hexadécimal
+   */
+  static blind(token, electionId, publicKey) {
+    const { n, e, length } = this.modulus(publicKey);
+    let r;
+    do {
+      r = toBigInt(crypto.randomBytes(length)) % n;
+    } while (r < 2n || modInverse(r, n) === null);
+    const blinded = (this.fdh(token, electionId, publicKey) * modPow(r, e, n)) % n;
+    return { blinded: toBuffer(blinded, length).toString('base64url'), r: r.toString(16) };
+  }
+
+  /**
+   * Côté serveur: signe un jeton masqué (exponentiation RSA brute)
+   * @returns {string} - Signature masquée (base64url)
+   */
+  static signBlinded(blinded, privateKey, publicKey) {
+    const { n, length } = this.modulus(publicKey);
+    const message = fromBase64url(blinded);
+    if (message.length !== length || toBigInt(message) >= n || toBigInt(message) < 2n) {
+      throw new Error('Jeton masqué invalide');
+    }
+    return crypto.privateDecrypt({ key: privateKey, padding: crypto.constants.RSA_NO_PADDING }, message).toString('base64url');
+  }
+
+  /**
+   * Côté électeur: retire le masque de la signature
+   * @returns {string} - Signature du jeton (base64url)
+   */
+  static unblind(blindSignature, r, publicKey) {
+    const { n, length } = this.modulus(publicKey);
+    const signature = (toBigInt(fromBase64url(blindSignature)) * modInverse(BigInt(`0x${r}`), n)) % n;
+    return toBuffer(signature, length).toString('base64url');
+  }
+
+  /**
+   * Vérifie qu'un jeton porte la signature du scrutin
+   */
+  static verify(token, signature, electionId, publicKey) {
+    try {
+      const { n, length } = this.modulus(publicKey);
+      const s = fromBase64url(signature);
+      if (s.length !== length || toBigInt(s) >= n) return false;
+      const key = crypto.createPublicKey({ key: { kty: 'RSA', n: publicKey.n, e: publicKey.e }, format: 'jwk' });
+      const recovered = crypto.publicEncrypt({ key, padding: crypto.constants.RSA_NO_PADDING }, s);
+      return toBigInt(recovered) === this.fdh(token, electionId, publicKey);
+    } catch {
+      return false;
+    }
+  }
+
+  // Empreinte stockée sur le bulletin: un jeton ne sert qu'une fois
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * Cycle de vie d'un scrutin: draft → scheduled → open → closed → tallied → proclaimed,
+ * avec cancelled et archived comme états annexes (archived mémorise l'état d'avant l'archivage).
+ * Seule source des statuts et des transitions permises ; les anciennes valeurs stockées
+ * (pending, active, ongoing, completed…) sont ramenées à ces états par normalize.
+ */
+
+export class LifecycleError extends Error {
+  constructor(message, { from = null, to = null, statusCode = 409 } = {}) {
+    super(message);
+    this.name = 'LifecycleError';
+    this.statusCode = statusCode;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+export class ElectionLifecycle {
+  static STATES = ['draft', 'scheduled', 'open', 'closed', 'tallied', 'proclaimed', 'cancelled', 'archived'];
+
+  // Valeurs historiques de elections.status (schémas votux.sql, votux_1.sql et migration 20251023)
+  static LEGACY_STATUSES = {
+    '': 'draft',
+    pending: 'scheduled',
+    active: 'open',
+    ongoing: 'open',
+    completed: 'closed'
+  };
+
+  static TRANSITIONS = {
+    draft: ['scheduled', 'open', 'cancelled', 'archived'],
+    scheduled: ['draft', 'open', 'cancelled', 'archived'],
+    // cancelled depuis open et au-delà: annulation, bulletins scellés
+    open: ['closed', 'cancelled'],
+    closed: ['tallied', 'cancelled', 'archived'],
+    // Nouveau dépouillement possible tant que les résultats ne sont pas proclamés
+    tallied: ['tallied', 'proclaimed', 'cancelled', 'archived'],
+    proclaimed: ['cancelled', 'archived'],
+    cancelled: ['archived'],
+    // Sortie d'archive: uniquement vers l'état d'avant l'archivage
+    archived: []
+  };
+
+  // Abandon avant l'ouverture (aucun vote) ; annulation une fois des votes possibles
+  static CANCELLABLE = ['draft', 'scheduled'];
+  static ANNULLABLE = ['open', 'closed', 'tallied', 'proclaimed'];
+
+  // Modification libre avant l'ouverture ; ensuite, corrections auditées uniquement
+  static EDITABLE = ['draft', 'scheduled'];
+  static CORRECTABLE = ['open', 'closed', 'tallied'];
+
+  // Type d'événement journalisé (election_events) pour chaque état d'arrivée
+  static EVENT_TYPES = {
+    draft: 'unscheduled',
+    scheduled: 'scheduled',
+    open: 'opened',
+    closed: 'closed',
+    tallied: 'tallied',
+    proclaimed: 'proclaimed',
+    cancelled: 'cancelled',
+    archived: 'archived'
+  };
+
+  /**
+   * Statut canonique d'une valeur stockée ; null si la valeur est inconnue
+   */
+  static normalize(status) {
+    if (status == null) return 'draft';
+    const value = String(status).trim().toLowerCase();
+    if (this.STATES.includes(value)) return value;
+    return this.LEGACY_STATUSES[value] ?? null;
+  }
+
+  /**
+   * Valeurs stockées (canoniques et historiques) correspondant à des états, pour les filtres SQL
+   */
+  static storedValues(states) {
+    const legacy = Object.keys(this.LEGACY_STATUSES).filter(value => states.includes(this.LEGACY_STATUSES[value]));
+    return [...states, ...legacy];
+  }
+
+  static is(status, ...states) {
+    return states.includes(this.normalize(status));
+  }
+
+  /**
+   * @param {string} from - Statut (stocké ou canonique) de départ
+   * @param {string} to - État d'arrivée
+   * @param {{ archivedFrom?: string|null }} [options] - État d'avant l'archivage, seule sortie de archived
+   */
+  static canTransition(from, to, { archivedFrom = null } = {}) {
+    const current = this.normalize(from);
+    if (!current || !this.STATES.includes(to)) return false;
+    if (current === 'archived') return this.normalize(archivedFrom) === to;
+    return this.TRANSITIONS[current].includes(to);
+  }
+
+  static assertTransition(from, to, options = {}) {
+    if (!this.canTransition(from, to, options)) {
+      const current = this.normalize(from) ?? String(from);
+      throw new LifecycleError(`Transition refusée pour ce scrutin: ${current} → ${to}`, { from: current, to });
+    }
+  }
+}
@@ -1,18 +1,26 @@
 import crypto from 'crypto';
-import { env } from '../config/env.js';
+import { KeyRing } from './keyring.js';
 
 export class VoteEncryption {
   static algorithm = 'aes-256-gcm';
+
+  /**
+   * Clé de chiffrement d'un contexte (id du scrutin, part d'assesseur…)
+   * - avec dataKey: dérivée de la clé de données du scrutin (enveloppe du trousseau)
+   * - sans: ancien format, dérivée de ENCRYPTION_KEY (entrée "legacy" du trousseau)
+   * @param {string} context - Contexte de chiffrement
+   * @param {{ keyId: string, key: Buffer }|null} dataKey - Clé de données du scrutin
+   */
+  static deriveKey(context, dataKey = null) {
+    if (dataKey) {
+      return Buffer.from(crypto.hkdfSync('sha256', dataKey.key, '', String(context), 32));
+    }
+    return crypto.scryptSync(KeyRing.secret(KeyRing.LEGACY_ID), context, 32);
+  }
   
-  static encryptVote(voteData, electionId) {
+  static encryptVote(voteData, electionId, dataKey = null) {
     try {
-      // Clé dérivée de manière sécurisée
-      // env.ENCRYPTION_KEY est validé au démarrage et ne peut pas être undefined
-      const key = crypto.scryptSync(
-        env.ENCRYPTION_KEY, 
-        electionId, 
-        32
-      );
+      const key = this.deriveKey(electionId, dataKey);
       
       const iv = crypto.randomBytes(16);
       
@@ -25,6 +33,8 @@ export class VoteEncryption {
       const authTag = cipher.getAuthTag();
       
       return {
+        // Identifiant de la clé de données (absent dans l'ancien format)
+        ...(dataKey && { keyId: dataKey.keyId }),
         encryptedData: encrypted,
         iv: iv.toString('hex'),
         authTag: authTag.toString('hex')
@@ -34,14 +44,9 @@ export class VoteEncryption {
     }
   }
 
-  static decryptVote(encryptedData, electionId, iv, authTag) {
+  static decryptVote(encryptedData, electionId, iv, authTag, dataKey = null) {
     try {
-      // env.ENCRYPTION_KEY est validé au démarrage et ne peut pas être undefined
-      const key = crypto.scryptSync(
-        env.ENCRYPTION_KEY,
-        electionId,
-        32
-      );
+      const key = this.deriveKey(electionId, dataKey);
       
       const decipher = crypto.createDecipheriv(
         this.algorithm, 
@@ -60,6 +65,15 @@ export class VoteEncryption {
     }
   }
 
+  // Jeton de revote: remis au seul électeur, seule son empreinte est stockée sur le bulletin
+  static generateRevoteToken() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  static hashRevoteToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
   static generateVoteHash(voterId, electionId, timestamp) {
     return crypto
       .createHash('sha256')
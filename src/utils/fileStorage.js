@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { env } from '../config/env.js';
+
+/**
+ * Stockage des fichiers des candidats (photos, professions de foi) derrière un adaptateur.
+ * Un adaptateur expose put / stat / createReadStream / remove sur des clés relatives ("candidates/12/photo-….jpg") ;
+ * seul le disque local (STORAGE_DRIVER=local, dossier UPLOADS_DIR) est fourni.
+ */
+
+// Clé relative sûre: segments [a-z0-9._-], sans remontée de dossier
+const KEY_PATTERN = /^[a-z0-9][a-z0-9._-]*(\/[a-z0-9][a-z0-9._-]*)*$/;
+
+export class LocalFileStorage {
+  constructor(root) {
+    this.root = path.resolve(root);
+  }
+
+  resolve(key) {
+    if (!KEY_PATTERN.test(String(key)) || String(key).includes('..')) throw new Error(`Clé de fichier invalide: ${key}`);
+    return path.join(this.root, key);
+  }
+
+  // Écriture atomique (fichier temporaire puis renommage): un lecteur ne voit jamais un fichier partiel
+  async put(key, buffer) {
+    const target = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    const temp = `${target}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await fs.promises.writeFile(temp, buffer);
+    await fs.promises.rename(temp, target);
+  }
+
+  // @returns {{ size: number, modifiedAt: Date }|null}
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolve(key));
+      return stats.isFile() ? { size: stats.size, modifiedAt: stats.mtime } : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  async remove(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+export class FileStorage {
+  // Préfixe des URL publiques (photo_url, manifesto_url) servies par GET /api/media/*
+  static URL_PREFIX = '/api/media/';
+
+  // Types acceptés, reconnus à leur signature (le type déclaré par le client n'est pas cru)
+  static TYPES = {
+    'image/jpeg': { extension: 'jpg', test: (b) => b.length > 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    'image/png': { extension: 'png', test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    'image/webp': { extension: 'webp', test: (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP' },
+    'application/pdf': { extension: 'pdf', test: (b) => b.subarray(0, 5).toString('latin1') === '%PDF-' }
+  };
+
+  static adapter = null;
+
+  static get() {
+    if (!this.adapter) {
+      if (env.STORAGE_DRIVER !== 'local') throw new Error(`STORAGE_DRIVER non pris en charge: ${env.STORAGE_DRIVER}`);
+      this.adapter = new LocalFileStorage(env.UPLOADS_DIR);
+    }
+    return this.adapter;
+  }
+
+  /**
+   * Type réel du contenu parmi ceux autorisés ; null s'il n'en fait pas partie
+   * @param {Buffer} buffer
+   * @param {string[]} allowed - Types MIME acceptés (clés de TYPES)
+   */
+  static detectType(buffer, allowed) {
+    return allowed.find(type => this.TYPES[type]?.test(buffer)) || null;
+  }
+
+  /**
+   * Enregistre un fichier sous une clé dérivée de son contenu (prefix-<sha256>.<ext>) :
+   * l'URL change avec le contenu, ce qui permet une mise en cache immuable
+   * @returns {Promise<{ key: string, url: string, sha256: string }>}
+   */
+  static async store(prefix, buffer, contentType) {
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+    const key = `${prefix}-${sha256.slice(0, 32)}.${this.TYPES[contentType].extension}`;
+    await this.get().put(key, buffer);
+    return { key, url: `${this.URL_PREFIX}${key}`, sha256 };
+  }
+
+  // Clé d'une URL publique servie par ce stockage ; null pour une URL externe
+  static keyFromUrl(url) {
+    return typeof url === 'string' && url.startsWith(this.URL_PREFIX) ? url.slice(this.URL_PREFIX.length) : null;
+  }
+
+  static contentTypeOf(key) {
+    const extension = path.extname(String(key)).slice(1);
+    return Object.keys(this.TYPES).find(type => this.TYPES[type].extension === extension) || 'application/octet-stream';
+  }
+}
@@ -0,0 +1,209 @@
+import crypto from 'crypto';
+
+/**
+ * Chiffrement homomorphe (ElGamal exponentiel) : alternative à VoteEncryption où les bulletins
+ * ne sont jamais déchiffrés un par un. Chaque case du bulletin (candidat ou vote blanc) chiffre 0 ou 1 ;
+ * les chiffrés sont multipliés case par case et seule la somme est déchiffrée au dépouillement.
+ * Chaque case porte une preuve à divulgation nulle (Chaum-Pedersen disjonctive) qu'elle chiffre 0 ou 1,
+ * et le bulletin une preuve que le nombre total de cases cochées est autorisé.
+ * Groupe: MODP 2048 bits de la RFC 3526 (p premier sûr, g = 2 d'ordre q = (p - 1) / 2).
+ */
+
+const MODP = crypto.getDiffieHellman('modp14');
+const P_BYTES = MODP.getPrime().length;
+const P = BigInt(`0x${MODP.getPrime().toString('hex')}`);
+const Q = (P - 1n) / 2n;
+const G = 2n;
+const G_INV = (P + 1n) / 2n; // inverse de g = 2 modulo p
+
+const toHex = (x) => x.toString(16);
+const fromHex = (hex) => {
+  if (typeof hex !== 'string' || !/^[0-9a-f]+$/i.test(hex)) throw new Error('Valeur hexadécimale invalide');
+  return BigInt(`0x${hex}`);
+};
+const toBuffer = (x) => Buffer.from(x.toString(16).padStart(P_BYTES * 2, '0'), 'hex');
+const mod = (a, m) => ((a % m) + m) % m;
+
+export class HomomorphicEncryption {
+  static SCHEME = 'exp-elgamal';
+  static BLANK_SLOT = 'blank';
+
+  /**
+   * base^exp mod p ; exponentiation native (OpenSSL via Diffie-Hellman), repli en BigInt
+   */
+  static powMod(base, exp) {
+    const b = mod(base, P);
+    const e = mod(exp, Q * 2n);
+    if (e === 0n || b === 1n) return 1n;
+    try {
+      const dh = crypto.createDiffieHellman(MODP.getPrime(), Buffer.from([2]));
+      dh.setPrivateKey(toBuffer(e));
+      return BigInt(`0x${dh.computeSecret(toBuffer(b)).toString('hex')}`);
+    } catch {
+      let result = 1n;
+      let acc = b;
+      let k = e;
+      while (k > 0n) {
+        if (k & 1n) result = (result * acc) % P;
+        acc = (acc * acc) % P;
+        k >>= 1n;
+      }
+      return result;
+    }
+  }
+
+  static mul(a, b) {
+    return (a * b) % P;
+  }
+
+  static inverse(a) {
+    return this.powMod(a, P - 2n);
+  }
+
+  // Exposant aléatoire dans [1, q - 1] (tirage sur 2304 bits pour un biais négligeable)
+  static randomExponent() {
+    return mod(BigInt(`0x${crypto.randomBytes(288).toString('hex')}`), Q - 1n) + 1n;
+  }
+
+  static isGroupElement(x) {
+    return x > 0n && x < P && this.powMod(x, Q) === 1n;
+  }
+
+  /**
+   * @returns {{ publicKey: string, secretKey: string }} - h = g^x et x, en hexadécimal
+   */
+  static generateKeyPair() {
+    const x = this.randomExponent();
+    return { publicKey: toHex(this.powMod(G, x)), secretKey: toHex(x) };
+  }
+
+  static encrypt(m, h) {
+    const r = this.randomExponent();
+    return { a: this.powMod(G, r), b: this.mul(this.powMod(G, BigInt(m)), this.powMod(h, r)), r };
+  }
+
+  static challenge(context, values) {
+    const digest = crypto.createHash('sha256').update([context, ...values.map(toHex)].join('|')).digest('hex');
+    return mod(BigInt(`0x${digest}`), Q);
+  }
+
+  /**
+   * Preuve disjonctive que (a, b) chiffre une valeur de `allowed` (la valeur réelle m et l'aléa r restent secrets)
+   */
+  static proveOneOf({ a, b }, m, r, h, allowed, context) {
+    const k = allowed.indexOf(m);
+    if (k < 0) throw new Error('Valeur hors de l\'ensemble autorisé');
+    const t1 = [];
+    const t2 = [];
+    const c = [];
+    const s = [];
+    const w = this.randomExponent();
+    allowed.forEach((v, j) => {
+      if (j === k) {
+        t1[j] = this.powMod(G, w);
+        t2[j] = this.powMod(h, w);
+        return;
+      }
+      // Branches simulées: challenge et réponse choisis, engagements recalculés
+      c[j] = this.randomExponent();
+      s[j] = this.randomExponent();
+      const bv = this.mul(b, this.powMod(G_INV, BigInt(v)));
+      t1[j] = this.mul(this.powMod(G, s[j]), this.powMod(a, c[j]));
+      t2[j] = this.mul(this.powMod(h, s[j]), this.powMod(bv, c[j]));
+    });
+    const total = this.challenge(context, [a, b, ...t1, ...t2]);
+    c[k] = mod(total - c.reduce((sum, cj, j) => (j === k ? sum : sum + cj), 0n), Q);
+    s[k] = mod(w - c[k] * r, Q);
+    return { t1: t1.map(toHex), t2: t2.map(toHex), c: c.map(toHex), s: s.map(toHex) };
+  }
+
+  static verifyOneOf({ a, b }, h, allowed, proof, context) {
+    if (!proof || [proof.t1, proof.t2, proof.c, proof.s].some(list => !Array.isArray(list) || list.length !== allowed.length)) {
+      return false;
+    }
+    const t1 = proof.t1.map(fromHex);
+    const t2 = proof.t2.map(fromHex);
+    const c = proof.c.map(fromHex);
+    const s = proof.s.map(fromHex);
+    if (mod(c.reduce((sum, cj) => sum + cj, 0n), Q) !== this.challenge(context, [a, b, ...t1, ...t2])) return false;
+    return allowed.every((v, j) => {
+      const bv = this.mul(b, this.powMod(G_INV, BigInt(v)));
+      return t1[j] === this.mul(this.powMod(G, s[j]), this.powMod(a, c[j]))
+        && t2[j] === this.mul(this.powMod(h, s[j]), this.powMod(bv, c[j]));
+    });
+  }
+
+  /**
+   * Chiffre un bulletin: une case par option (candidats + vote blanc), chacune à 0 ou 1
+   * @param {string[]} selected - Cases cochées (ids de candidats ou BLANK_SLOT)
+   * @param {string[]} slots - Toutes les cases du bulletin
+   * @param {{ electionId: string, publicKey: string, allowedSums: number[] }} params - allowedSums: nombres de cases cochées autorisés
+   */
+  static encryptBallot(selected, slots, { electionId, publicKey, allowedSums }) {
+    const h = fromHex(publicKey);
+    const chosen = new Set(selected.map(String));
+    const options = {};
+    let sumA = 1n;
+    let sumB = 1n;
+    let sumR = 0n;
+    for (const slot of slots) {
+      const m = chosen.has(slot) ? 1 : 0;
+      const { a, b, r } = this.encrypt(m, h);
+      options[slot] = { a: toHex(a), b: toHex(b), proof: this.proveOneOf({ a, b }, m, r, h, [0, 1], `${electionId}|${publicKey}|${slot}`) };
+      sumA = this.mul(sumA, a);
+      sumB = this.mul(sumB, b);
+      sumR = mod(sumR + r, Q);
+    }
+    const sumProof = this.proveOneOf({ a: sumA, b: sumB }, chosen.size, sumR, h, allowedSums, `${electionId}|${publicKey}|sum`);
+    return { scheme: this.SCHEME, options, sumProof };
+  }
+
+  /**
+   * Vérifie les preuves d'un bulletin sans le déchiffrer
+   * @returns {{ valid: boolean, ciphertexts?: Object<string, { a: bigint, b: bigint }> }}
+   */
+  static verifyBallot(ballot, slots, { electionId, publicKey, allowedSums }) {
+    try {
+      const h = fromHex(publicKey);
+      if (ballot?.scheme !== this.SCHEME || !ballot.options) return { valid: false };
+      const keys = Object.keys(ballot.options);
+      if (keys.length !== slots.length || !slots.every(slot => keys.includes(slot))) return { valid: false };
+      const ciphertexts = {};
+      let sumA = 1n;
+      let sumB = 1n;
+      for (const slot of slots) {
+        const option = ballot.options[slot];
+        const ct = { a: fromHex(option.a), b: fromHex(option.b) };
+        if (!this.isGroupElement(ct.a) || !this.isGroupElement(ct.b)) return { valid: false };
+        if (!this.verifyOneOf(ct, h, [0, 1], option.proof, `${electionId}|${publicKey}|${slot}`)) return { valid: false };
+        ciphertexts[slot] = ct;
+        sumA = this.mul(sumA, ct.a);
+        sumB = this.mul(sumB, ct.b);
+      }
+      if (!this.verifyOneOf({ a: sumA, b: sumB }, h, allowedSums, ballot.sumProof, `${electionId}|${publicKey}|sum`)) return { valid: false };
+      return { valid: true, ciphertexts };
+    } catch {
+      return { valid: false };
+    }
+  }
+
+  /**
+   * Agrège des chiffrés (produit terme à terme = chiffré de la somme)
+   */
+  static aggregate(ciphertexts) {
+    return ciphertexts.reduce((acc, ct) => ({ a: this.mul(acc.a, ct.a), b: this.mul(acc.b, ct.b) }), { a: 1n, b: 1n });
+  }
+
+  /**
+   * Déchiffre une somme agrégée: g^M = b / a^x, puis M par recherche exhaustive (M <= maxValue)
+   */
+  static decryptSum({ a, b }, secretKey, maxValue) {
+    const gM = this.mul(b, this.inverse(this.powMod(a, fromHex(secretKey))));
+    let acc = 1n;
+    for (let m = 0; m <= maxValue; m++) {
+      if (acc === gM) return m;
+      acc = this.mul(acc, G);
+    }
+    throw new Error('Somme hors bornes: déchiffrement impossible');
+  }
+}
@@ -0,0 +1,83 @@
+import crypto from 'crypto';
+import { KeyRing } from './keyring.js';
+
+/**
+ * Rapports d'intégrité signés: sérialisation canonique (clés triées) signée en Ed25519.
+ * La clé de signature dérive de la clé maître du trousseau ; sa clé publique est publiée
+ * pour que le rapport soit vérifiable hors du serveur.
+ */
+
+// En-tête DER PKCS#8 d'une clé privée Ed25519 brute (suivi de la graine de 32 octets)
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+export class IntegrityReport {
+  static ALGORITHM = 'ed25519';
+
+  /**
+   * JSON canonique: clés d'objets triées, sans espaces (dates en ISO)
+   */
+  static canonicalize(value) {
+    if (value instanceof Date) return JSON.stringify(value.toISOString());
+    if (Array.isArray(value)) return `[${value.map(v => this.canonicalize(v ?? null)).join(',')}]`;
+    if (value && typeof value === 'object') {
+      const entries = Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort()
+        .map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`);
+      return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+  }
+
+  static hash(report) {
+    return crypto.createHash('sha256').update(this.canonicalize(report)).digest('hex');
+  }
+
+  /**
+   * Paire de signature dérivée d'une clé maître du trousseau
+   * @returns {{ keyId: string, privateKey: crypto.KeyObject, publicKey: string }} - publicKey: Ed25519 brute (base64url)
+   */
+  static signingKey(keyId = KeyRing.activeKeyId()) {
+    const seed = Buffer.from(crypto.hkdfSync('sha256', KeyRing.masterKey(keyId), '', 'votux-integrity-report', 32));
+    const privateKey = crypto.createPrivateKey({ key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]), format: 'der', type: 'pkcs8' });
+    return { keyId, privateKey, publicKey: crypto.createPublicKey(privateKey).export({ format: 'jwk' }).x };
+  }
+
+  static publicKeys() {
+    return KeyRing.keyIds().map(keyId => ({
+      keyId,
+      algorithm: this.ALGORITHM,
+      publicKey: this.signingKey(keyId).publicKey,
+      active: keyId === KeyRing.activeKeyId()
+    }));
+  }
+
+  /**
+   * @returns {{ algorithm: string, keyId: string, publicKey: string, value: string }} - value: signature base64url
+   */
+  static sign(report) {
+    const { keyId, privateKey, publicKey } = this.signingKey();
+    const value = crypto.sign(null, Buffer.from(this.canonicalize(report)), privateKey).toString('base64url');
+    return { algorithm: this.ALGORITHM, keyId, publicKey, value };
+  }
+
+  /**
+   * Vérifie la signature d'un rapport ; la clé publique doit être celle du trousseau pour ce keyId
+   * @returns {{ valid: boolean, reason?: string }}
+   */
+  static verify(report, signature) {
+    if (signature?.algorithm !== this.ALGORITHM || !signature.keyId || !signature.value) {
+      return { valid: false, reason: 'Signature incomplète' };
+    }
+    if (!KeyRing.hasKey(signature.keyId)) return { valid: false, reason: `Clé ${signature.keyId} absente du trousseau` };
+    const { publicKey } = this.signingKey(signature.keyId);
+    if (signature.publicKey && signature.publicKey !== publicKey) return { valid: false, reason: 'Clé publique inconnue' };
+    try {
+      const key = crypto.createPublicKey({ key: { kty: 'OKP', crv: 'Ed25519', x: publicKey }, format: 'jwk' });
+      const valid = crypto.verify(null, Buffer.from(this.canonicalize(report)), key, Buffer.from(signature.value, 'base64url'));
+      return valid ? { valid } : { valid, reason: 'Signature invalide' };
+    } catch {
+      return { valid: false, reason: 'Signature illisible' };
+    }
+  }
+}
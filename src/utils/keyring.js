@@ -0,0 +1,77 @@
+import crypto from 'crypto';
+import { env } from '../config/env.js';
+
+/**
+ * Trousseau local de clés maîtres identifiées par un keyId (ENCRYPTION_KEYS, clé active ENCRYPTION_KEY_ID).
+ * Chaque scrutin a sa propre clé de données aléatoire, conservée enveloppée par une clé maître :
+ * changer de clé maître revient à ré-envelopper les clés de données, sans toucher aux bulletins.
+ */
+
+export class KeyRing {
+  static algorithm = 'aes-256-gcm';
+  static LEGACY_ID = 'legacy';
+  static masterKeys = new Map();
+
+  static keyIds() {
+    return Object.keys(env.ENCRYPTION_KEYRING);
+  }
+
+  static activeKeyId() {
+    return env.ENCRYPTION_KEY_ID;
+  }
+
+  static hasKey(keyId) {
+    return Object.prototype.hasOwnProperty.call(env.ENCRYPTION_KEYRING, keyId);
+  }
+
+  // Secret brut d'une entrée du trousseau ("legacy": ENCRYPTION_KEY, ancien format de bulletin)
+  static secret(keyId) {
+    if (!this.hasKey(keyId)) throw new Error(`Clé maître absente du trousseau: ${keyId}`);
+    return env.ENCRYPTION_KEYRING[keyId];
+  }
+
+  // Clé maître de 32 octets dérivée du secret (scrypt, mise en cache)
+  static masterKey(keyId) {
+    if (!this.masterKeys.has(keyId)) {
+      this.masterKeys.set(keyId, crypto.scryptSync(this.secret(keyId), `votux-master-${keyId}`, 32));
+    }
+    return this.masterKeys.get(keyId);
+  }
+
+  /**
+   * @returns {{ keyId: string, key: Buffer }} - Nouvelle clé de données (256 bits)
+   */
+  static generateDataKey() {
+    return { keyId: `dk-${crypto.randomUUID()}`, key: crypto.randomBytes(32) };
+  }
+
+  /**
+   * Enveloppe une clé de données avec une clé maître (l'id de la clé de données est authentifié)
+   * @returns {{ masterKeyId: string, wrappedKey: string, iv: string, authTag: string }}
+   */
+  static wrap(dataKey, dataKeyId, masterKeyId = this.activeKeyId()) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(this.algorithm, this.masterKey(masterKeyId), iv);
+    cipher.setAAD(Buffer.from(dataKeyId));
+    const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+    return { masterKeyId, wrappedKey: wrapped.toString('hex'), iv: iv.toString('hex'), authTag: cipher.getAuthTag().toString('hex') };
+  }
+
+  static unwrap({ masterKeyId, wrappedKey, iv, authTag }, dataKeyId) {
+    try {
+      const decipher = crypto.createDecipheriv(this.algorithm, this.masterKey(masterKeyId), Buffer.from(iv, 'hex'));
+      decipher.setAAD(Buffer.from(dataKeyId));
+      decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+      return Buffer.concat([decipher.update(Buffer.from(wrappedKey, 'hex')), decipher.final()]);
+    } catch (error) {
+      throw new Error(`Clé de données ${dataKeyId} illisible: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ré-enveloppe une clé de données sous la clé maître active
+   */
+  static rewrap(envelope, dataKeyId) {
+    return this.wrap(this.unwrap(envelope, dataKeyId), dataKeyId);
+  }
+}
@@ -0,0 +1,637 @@
+/**
+ * Moteur de dépouillement: décompte des bulletins déchiffrés selon la méthode du scrutin
+ */
+
+export class TallyEngine {
+  static METHODS = ['plurality', 'irv', 'approval', 'plurality_at_large', 'stv', 'schulze'];
+  static RANKED_METHODS = ['irv', 'stv', 'schulze'];
+  static ADDITIVE_METHODS = ['plurality', 'approval', 'plurality_at_large'];
+  static MULTI_CHOICE_METHODS = ['approval', 'plurality_at_large'];
+  static ELECTION_TYPES = ['candidates', 'referendum'];
+  static OPTION_ROLES = ['yes', 'no', 'abstain'];
+  static DEFAULT_REFERENDUM_OPTIONS = [
+    { name: 'Pour', role: 'yes' },
+    { name: 'Contre', role: 'no' },
+    { name: 'Abstention', role: 'abstain' }
+  ];
+
+  /**
+   * Indique si la méthode attend un bulletin classé (ranking)
+   * @param {string} method - Méthode de vote du scrutin
+   * @returns {boolean}
+   */
+  static isRanked(method) {
+    return this.RANKED_METHODS.includes(method);
+  }
+
+  /**
+   * Indique si la méthode autorise plusieurs candidats cochés (1..max_votes)
+   * @param {string} method - Méthode de vote du scrutin
+   * @returns {boolean}
+   */
+  static isMultiChoice(method) {
+    return this.MULTI_CHOICE_METHODS.includes(method);
+  }
+
+  /**
+   * Compte les bulletins selon la méthode demandée
+   * @param {string} method - Méthode de vote du scrutin
+   * @param {Array<{ choices: string[], weight?: number }>} ballots - Bulletins déchiffrés et normalisés (choix par ordre de préférence, poids du collège, 1 par défaut)
+   * @param {Array<{ id: number|string, name: string }>} candidates - Candidats du scrutin
+   * @param {{ total?: number, seats?: number, threshold?: string }} [options] - total: dénominateur des pourcentages (défaut: nombre de bulletins) ; seats: nombre d'élus ; threshold: majorité requise (référendum)
+   * @returns {{ method: string, list: object[], tie: boolean, tiedCandidates: object[], winner: object|null, winners?: object[], seatsAtStake?: number }}
+   */
+  static count(method, ballots, candidates, options = {}) {
+    switch (method) {
+      case 'irv':
+        return this.instantRunoff(ballots, candidates, options);
+      case 'stv':
+        return this.singleTransferableVote(ballots, candidates, options);
+      case 'schulze':
+        return this.schulze(ballots, candidates, options);
+      case 'referendum':
+        return this.referendum(ballots, candidates, options);
+      case 'approval':
+      case 'plurality_at_large':
+        return { ...this.multiChoice(ballots, candidates, options), method };
+      default:
+        return this.plurality(ballots, candidates, options);
+    }
+  }
+
+  /**
+   * Compte à partir de totaux déjà agrégés (dépouillement homomorphe: seules les sommes sont connues).
+   * Réservé aux méthodes additives: uninominal, choix multiples et référendum.
+   * @param {string} method - Méthode de vote du scrutin
+   * @param {Object<string, number>} voteCount - Voix par id de candidat
+   * @param {Array<{ id: number|string, name: string }>} candidates - Candidats du scrutin
+   * @param {{ total: number, seats?: number, threshold?: string }} options - total: suffrages exprimés
+   */
+  static countTotals(method, voteCount, candidates, options) {
+    switch (method) {
+      case 'referendum':
+        return this.referendumFromCounts(voteCount, candidates, options);
+      case 'approval':
+      case 'plurality_at_large':
+        return { ...this.multiChoiceFromCounts(voteCount, candidates, options), method };
+      case 'plurality':
+        return this.pluralityFromCounts(voteCount, candidates, options);
+      default:
+        throw new Error(`Méthode ${method} incompatible avec un dépouillement sur totaux`);
+    }
+  }
+
+  static nameMap(candidates) {
+    const names = {};
+    candidates.forEach(c => { names[String(c.id)] = c.name; });
+    return names;
+  }
+
+  static percentage(votes, total) {
+    return total > 0 ? ((votes / total) * 100).toFixed(2) : '0.00';
+  }
+
+  /**
+   * Poids d'un bulletin (vote pondéré par collège électoral)
+   */
+  static weightOf(ballot) {
+    const weight = Number(ballot.weight);
+    return Number.isFinite(weight) && weight > 0 ? weight : 1;
+  }
+
+  /**
+   * Somme des poids des bulletins (égale au nombre de bulletins sans pondération)
+   */
+  static totalWeight(ballots) {
+    return this.round4(ballots.reduce((sum, b) => sum + this.weightOf(b), 0));
+  }
+
+  // Les totaux pondérés sont arrondis à 4 décimales pour neutraliser les erreurs de virgule flottante
+  static round4(x) {
+    return Math.round(x * 10000) / 10000;
+  }
+
+  /**
+   * Scrutin uninominal: seul le premier choix de chaque bulletin compte
+   */
+  static plurality(ballots, candidates, options = {}) {
+    const voteCount = {};
+    for (const ballot of ballots) {
+      const candidateId = ballot.choices[0];
+      if (!candidateId) continue;
+      voteCount[candidateId] = (voteCount[candidateId] || 0) + this.weightOf(ballot);
+    }
+    return this.pluralityFromCounts(voteCount, candidates, { ...options, total: options.total ?? this.totalWeight(ballots) });
+  }
+
+  static pluralityFromCounts(voteCount, candidates, options = {}) {
+    const names = this.nameMap(candidates);
+    const total = options.total;
+    const list = Object.keys(voteCount).map(candidateId => ({
+      candidateId,
+      candidateName: names[candidateId] || 'Candidat inconnu',
+      votes: this.round4(voteCount[candidateId]),
+      percentage: this.percentage(voteCount[candidateId], total)
+    }));
+    list.sort((a, b) => b.votes - a.votes);
+
+    const topVotes = list.length > 0 ? list[0].votes : 0;
+    const tiedCandidates = list.filter(r => r.votes === topVotes);
+    const tie = tiedCandidates.length > 1 && topVotes > 0;
+    const winner = tie ? null : (list[0] || null);
+    return { method: 'plurality', list, tie, tiedCandidates, winner };
+  }
+
+  /**
+   * Scrutin à choix multiples (approbation, plurinominal majoritaire): chaque candidat coché
+   * reçoit une voix ; les `seats` premiers sont élus. Les pourcentages sont rapportés au nombre
+   * de bulletins (part des votants ayant retenu le candidat). Une égalité à la dernière place
+   * éligible est remontée (tie) avec les ex aequo concernés et le nombre de sièges en jeu.
+   */
+  static multiChoice(ballots, candidates, options = {}) {
+    const voteCount = {};
+    for (const ballot of ballots) {
+      for (const candidateId of new Set(ballot.choices)) {
+        voteCount[candidateId] = (voteCount[candidateId] || 0) + this.weightOf(ballot);
+      }
+    }
+    return this.multiChoiceFromCounts(voteCount, candidates, { ...options, total: options.total ?? this.totalWeight(ballots) });
+  }
+
+  static multiChoiceFromCounts(voteCount, candidates, options = {}) {
+    const names = this.nameMap(candidates);
+    const total = options.total;
+    const seats = Math.max(1, Number(options.seats) || 1);
+    const list = Object.keys(voteCount).map(candidateId => ({
+      candidateId,
+      candidateName: names[candidateId] || 'Candidat inconnu',
+      votes: this.round4(voteCount[candidateId]),
+      percentage: this.percentage(voteCount[candidateId], total)
+    }));
+    list.sort((a, b) => b.votes - a.votes);
+
+    let winners = list.slice(0, seats);
+    let tiedCandidates = [];
+    if (list.length > seats) {
+      const cutoff = list[seats - 1].votes;
+      if (cutoff > 0 && list[seats].votes === cutoff) {
+        tiedCandidates = list.filter(r => r.votes === cutoff);
+        winners = list.filter(r => r.votes > cutoff);
+      }
+    }
+    const tie = tiedCandidates.length > 1;
+    return { list, seats, tie, tiedCandidates, seatsAtStake: tie ? seats - winners.length : 0, winners, winner: winners[0] || null };
+  }
+
+  /**
+   * Vote alternatif (instant-runoff): élimination successive du candidat le moins soutenu
+   * jusqu'à ce qu'un candidat obtienne la majorité absolue des bulletins encore exprimés.
+   * Les égalités pour l'élimination sont départagées par les tours précédents ; à défaut,
+   * tous les ex aequo sont éliminés ensemble. Une égalité parfaite entre tous les candidats
+   * restants est remontée (tie) pour résolution via /tie-break.
+   */
+  static instantRunoff(ballots, candidates) {
+    const names = this.nameMap(candidates);
+    const remaining = new Set(candidates.map(c => String(c.id)));
+    const history = [];
+    const rounds = [];
+    const lastSeen = {};
+    let winnerId = null;
+    let tiedIds = [];
+    const ballotWeight = this.totalWeight(ballots);
+
+    while (remaining.size > 0) {
+      const counts = {};
+      remaining.forEach(id => { counts[id] = 0; });
+      let exhausted = 0;
+      for (const ballot of ballots) {
+        const choice = ballot.choices.find(id => remaining.has(id));
+        if (choice) counts[choice] += this.weightOf(ballot);
+        else exhausted += this.weightOf(ballot);
+      }
+      remaining.forEach(id => { counts[id] = this.round4(counts[id]); });
+      exhausted = this.round4(exhausted);
+      const active = this.round4(ballotWeight - exhausted);
+      history.push(counts);
+
+      const round = {
+        round: history.length,
+        tallies: [...remaining]
+          .sort((a, b) => counts[b] - counts[a])
+          .map(id => ({ candidateId: id, candidateName: names[id] || 'Candidat inconnu', votes: counts[id], percentage: this.percentage(counts[id], active) })),
+        exhausted,
+        eliminated: []
+      };
+      round.tallies.forEach(row => { lastSeen[row.candidateId] = { ...row, round: round.round }; });
+      rounds.push(round);
+
+      if (active === 0) break;
+      const top = round.tallies[0];
+      if (top.votes * 2 > active || remaining.size === 1) {
+        winnerId = top.candidateId;
+        break;
+      }
+
+      const min = Math.min(...[...remaining].map(id => counts[id]));
+      let lowest = [...remaining].filter(id => counts[id] === min);
+      if (lowest.length === remaining.size) {
+        tiedIds = lowest;
+        break;
+      }
+      lowest = this.breakTieBackwards(lowest, history);
+      lowest.forEach(id => remaining.delete(id));
+      round.eliminated = lowest.map(id => ({ candidateId: id, candidateName: names[id] || 'Candidat inconnu' }));
+    }
+
+    // Classement final: ordre du dernier tour atteint, puis ordre inverse d'élimination
+    const list = Object.values(lastSeen)
+      .sort((a, b) => (b.round - a.round) || (b.votes - a.votes))
+      .map(({ round, ...row }) => ({ ...row, lastRound: round }));
+    const tiedCandidates = list.filter(r => tiedIds.includes(r.candidateId));
+    const tie = tiedCandidates.length > 1 && tiedCandidates[0].votes > 0;
+    const winner = winnerId ? list.find(r => r.candidateId === winnerId) : null;
+    return { method: 'irv', list, tie, tiedCandidates: tie ? tiedCandidates : [], winner, rounds };
+  }
+
+  /**
+   * Vote unique transférable (STV) pour les scrutins à plusieurs sièges.
+   * - Quota de Droop: floor(bulletins valides / (sièges + 1)) + 1
+   * - Excédents transférés selon la méthode de Gregory (valeur de transfert = excédent / voix)
+   * - À défaut d'élu, exclusion du candidat le moins soutenu (égalités départagées par les étapes
+   *   précédentes, sinon exclusion groupée tant qu'il reste assez de candidats)
+   * Chaque étape est consignée dans `stages` (table des transferts). Si des ex aequo impossibles à
+   * départager se disputent les derniers sièges, le décompte s'arrête sur une égalité (tie) avec
+   * `seatsAtStake` sièges à attribuer via /tie-break.
+   */
+  static singleTransferableVote(ballots, candidates, options = {}) {
+    const names = this.nameMap(candidates);
+    const seats = Math.max(1, Number(options.seats) || 1);
+    const EPSILON = 1e-9;
+    const round4 = (x) => this.round4(x);
+    // Chaque bulletin part avec la valeur de son poids (1 sans pondération)
+    const papers = ballots.filter(b => b.choices.length > 0).map(b => ({ choices: b.choices, value: this.weightOf(b) }));
+    const valid = this.totalWeight(papers.map(p => ({ weight: p.value })));
+    const quota = Math.floor(valid / (seats + 1)) + 1;
+
+    const hopeful = new Set(candidates.map(c => String(c.id)));
+    const piles = {};
+    hopeful.forEach(id => { piles[id] = []; });
+    const kept = {};
+    const elected = [];
+    const excluded = [];
+    const pendingSurplus = [];
+    const history = [];
+    const stages = [];
+    let exhausted = 0;
+    let tiedIds = [];
+    let seatsAtStake = 0;
+
+    const assign = (paper) => {
+      const next = paper.choices.find(id => hopeful.has(id));
+      if (next) piles[next].push(paper);
+      else exhausted += paper.value;
+    };
+    const total = (id) => kept[id] ?? piles[id].reduce((sum, p) => sum + p.value, 0);
+    const electAll = (ids, stage) => {
+      ids.sort((a, b) => total(b) - total(a)).forEach(id => {
+        hopeful.delete(id);
+        elected.push({ id, stage: stage.stage });
+        stage.elected.push({ candidateId: id, candidateName: names[id] || 'Candidat inconnu' });
+        if (total(id) > quota + EPSILON) pendingSurplus.push(id);
+      });
+    };
+    const recordStage = (action, detail = {}) => {
+      const totals = {};
+      Object.keys(piles).forEach(id => { totals[id] = round4(total(id)); });
+      history.push(totals);
+      const stage = {
+        stage: history.length,
+        action,
+        ...detail,
+        tallies: Object.keys(piles)
+          .filter(id => !excluded.includes(id))
+          .sort((a, b) => totals[b] - totals[a])
+          .map(id => ({ candidateId: id, candidateName: names[id] || 'Candidat inconnu', votes: round4(totals[id]) })),
+        exhausted: round4(exhausted),
+        elected: [],
+        excluded: []
+      };
+      stages.push(stage);
+      return stage;
+    };
+
+    papers.forEach(assign);
+    let stage = recordStage('first_count');
+
+    while (elected.length < seats && valid > 0) {
+      const reached = [...hopeful].filter(id => total(id) >= quota - EPSILON);
+      if (reached.length > 0) {
+        electAll(reached, stage);
+        if (elected.length >= seats) break;
+      }
+
+      const seatsLeft = seats - elected.length;
+      if (pendingSurplus.length > 0) {
+        pendingSurplus.sort((a, b) => total(b) - total(a));
+        const from = pendingSurplus.shift();
+        const votes = total(from);
+        const transferValue = (votes - quota) / votes;
+        const parcel = piles[from];
+        piles[from] = [];
+        kept[from] = quota;
+        parcel.forEach(paper => { paper.value *= transferValue; assign(paper); });
+        stage = recordStage('surplus', { from: { candidateId: from, candidateName: names[from] || 'Candidat inconnu' }, transferValue: round4(transferValue) });
+        continue;
+      }
+
+      if (hopeful.size <= seatsLeft) {
+        electAll([...hopeful], stage);
+        break;
+      }
+
+      const min = Math.min(...[...hopeful].map(id => round4(total(id))));
+      let lowest = [...hopeful].filter(id => round4(total(id)) === min);
+      lowest = this.breakTieBackwards(lowest, history);
+      if (lowest.length > 1 && hopeful.size - lowest.length < seatsLeft) {
+        // Égalité pour les derniers sièges: les candidats mieux placés sont élus, les ex aequo départagés hors décompte
+        electAll([...hopeful].filter(id => !lowest.includes(id)), stage);
+        tiedIds = lowest;
+        seatsAtStake = seats - elected.length;
+        break;
+      }
+      const parcels = [];
+      lowest.forEach(id => {
+        hopeful.delete(id);
+        excluded.push(id);
+        parcels.push(...piles[id]);
+        piles[id] = [];
+      });
+      parcels.forEach(assign);
+      stage = recordStage('exclusion');
+      stage.excluded = lowest.map(id => ({ candidateId: id, candidateName: names[id] || 'Candidat inconnu' }));
+    }
+
+    const electedStage = {};
+    elected.forEach(e => { electedStage[e.id] = e.stage; });
+    const row = (id) => ({
+      candidateId: id,
+      candidateName: names[id] || 'Candidat inconnu',
+      votes: round4(total(id)),
+      percentage: this.percentage(total(id), valid),
+      status: electedStage[id] ? 'elected' : (excluded.includes(id) ? 'excluded' : 'hopeful'),
+      ...(electedStage[id] && { electedAtStage: electedStage[id] })
+    });
+    const winners = elected.map(e => row(e.id));
+    const others = Object.keys(piles)
+      .filter(id => !electedStage[id])
+      .map(row)
+      .sort((a, b) => b.votes - a.votes);
+    const list = [...winners, ...others];
+    const tiedCandidates = list.filter(r => tiedIds.includes(r.candidateId));
+    const tie = tiedCandidates.length > 1;
+    return {
+      method: 'stv',
+      list,
+      seats,
+      quota,
+      validBallots: valid,
+      tie,
+      tiedCandidates,
+      seatsAtStake,
+      winners,
+      winner: winners[0] || null,
+      stages
+    };
+  }
+
+  /**
+   * Méthode de Schulze (Condorcet): matrice des préférences par paires, chemins les plus forts
+   * (Floyd–Warshall sur la plus large capacité) puis ordre des vainqueurs. Un candidat non classé
+   * est considéré comme placé derrière tous les candidats classés du bulletin.
+   * Sans vainqueur de Condorcet, le cycle (ensemble de Smith) est exposé dans `cycle` ; si les
+   * chemins ne départagent pas la tête, les co-vainqueurs forment `tiedCandidates` pour /tie-break.
+   */
+  static schulze(ballots, candidates, options = {}) {
+    const names = this.nameMap(candidates);
+    const ids = candidates.map(c => String(c.id));
+    const total = options.total ?? this.totalWeight(ballots);
+    const d = {};
+    const firstChoices = {};
+    ids.forEach(i => {
+      d[i] = {};
+      firstChoices[i] = 0;
+      ids.forEach(j => { if (i !== j) d[i][j] = 0; });
+    });
+
+    for (const ballot of ballots) {
+      const ranked = ballot.choices.filter(id => d[id]);
+      if (ranked.length === 0) continue;
+      const weight = this.weightOf(ballot);
+      firstChoices[ranked[0]] += weight;
+      const position = {};
+      ranked.forEach((id, idx) => { position[id] = idx; });
+      for (const i of ranked) {
+        for (const j of ids) {
+          if (i !== j && (position[j] === undefined || position[i] < position[j])) d[i][j] += weight;
+        }
+      }
+    }
+    ids.forEach(i => {
+      firstChoices[i] = this.round4(firstChoices[i]);
+      ids.forEach(j => { if (i !== j) d[i][j] = this.round4(d[i][j]); });
+    });
+
+    // Chemins les plus forts
+    const p = {};
+    ids.forEach(i => {
+      p[i] = {};
+      ids.forEach(j => { if (i !== j) p[i][j] = d[i][j] > d[j][i] ? d[i][j] : 0; });
+    });
+    for (const k of ids) {
+      for (const i of ids) {
+        if (i === k) continue;
+        for (const j of ids) {
+          if (j === i || j === k) continue;
+          p[i][j] = Math.max(p[i][j], Math.min(p[i][k], p[k][j]));
+        }
+      }
+    }
+
+    // Ordre des vainqueurs: groupes de candidats non battus parmi les restants
+    const ranking = [];
+    let remaining = [...ids];
+    while (remaining.length > 0) {
+      const top = remaining.filter(i => remaining.every(j => j === i || p[i][j] >= p[j][i]));
+      const group = top.length > 0 ? top : remaining;
+      ranking.push(group);
+      remaining = remaining.filter(id => !group.includes(id));
+    }
+    const rankOf = {};
+    ranking.forEach((group, idx) => group.forEach(id => { rankOf[id] = idx + 1; }));
+
+    const condorcetWinner = ids.find(i => ids.every(j => j === i || d[i][j] > d[j][i])) || null;
+    const smith = condorcetWinner ? [condorcetWinner] : this.smithSet(ids, d);
+
+    const row = (id) => ({
+      candidateId: id,
+      candidateName: names[id] || 'Candidat inconnu',
+      votes: firstChoices[id],
+      percentage: this.percentage(firstChoices[id], total),
+      rank: rankOf[id],
+      wins: ids.filter(j => j !== id && p[id][j] > p[j][id]).length
+    });
+    const list = ranking.flat().map(row);
+    const hasVotes = ballots.some(b => b.choices.some(id => d[id]));
+    const tiedCandidates = hasVotes && ranking[0].length > 1 ? ranking[0].map(row) : [];
+    const tie = tiedCandidates.length > 1;
+    const winner = hasVotes && !tie ? row(ranking[0][0]) : null;
+
+    return {
+      method: 'schulze',
+      list,
+      tie,
+      tiedCandidates,
+      winner,
+      pairwise: d,
+      strongestPaths: p,
+      ranking,
+      condorcetWinner: condorcetWinner && hasVotes ? row(condorcetWinner) : null,
+      cycle: !condorcetWinner && hasVotes ? { candidateIds: smith, candidates: smith.map(row) } : null
+    };
+  }
+
+  /**
+   * Ensemble de Smith: plus petit ensemble de candidats battant (ou égalant) chaque candidat extérieur
+   */
+  static smithSet(ids, d) {
+    const beatsOrTies = (i, j) => d[i][j] >= d[j][i];
+    // Fermeture: un candidat est dans l'ensemble de Smith s'il atteint tous les autres par la relation « bat ou égale »
+    const reach = {};
+    ids.forEach(i => {
+      reach[i] = new Set([i]);
+      ids.forEach(j => { if (i !== j && beatsOrTies(i, j)) reach[i].add(j); });
+    });
+    for (const k of ids) {
+      for (const i of ids) {
+        if (reach[i].has(k)) reach[k].forEach(j => reach[i].add(j));
+      }
+    }
+    return ids.filter(i => reach[i].size === ids.length);
+  }
+
+  /**
+   * Convertit un seuil de majorité ("2/3", "0.6", 0.6) en fraction { num, den }
+   * @param {string|number|null} value - Seuil saisi (défaut: majorité absolue 1/2)
+   * @returns {{ num: number, den: number }|null} - null si le seuil est invalide
+   */
+  static parseThreshold(value) {
+    if (value == null || value === '') return { num: 1, den: 2 };
+    const str = String(value).trim();
+    const fraction = /^(\d+)\s*\/\s*(\d+)$/.exec(str);
+    const parsed = fraction
+      ? { num: Number(fraction[1]), den: Number(fraction[2]) }
+      : { num: Number(str), den: 1 };
+    if (!Number.isFinite(parsed.num) || !parsed.den || parsed.num <= 0 || parsed.num / parsed.den > 1) return null;
+    return parsed;
+  }
+
+  /**
+   * Référendum / motion: les options sont des réponses (Pour / Contre / Abstention).
+   * Les abstentions sont comptées mais exclues du calcul de la majorité, calculée sur Pour + Contre.
+   * Majorité simple (1/2): la motion passe si Pour > Contre. Majorité qualifiée (ex. 2/3):
+   * la motion passe si Pour atteint le seuil. À égalité, la motion est rejetée.
+   */
+  static referendum(ballots, candidates, options = {}) {
+    const voteCount = {};
+    candidates.forEach(c => { voteCount[String(c.id)] = 0; });
+    for (const ballot of ballots) {
+      const optionId = ballot.choices[0];
+      if (optionId in voteCount) voteCount[optionId] += this.weightOf(ballot);
+    }
+    return this.referendumFromCounts(voteCount, candidates, { ...options, total: options.total ?? this.totalWeight(ballots) });
+  }
+
+  static referendumFromCounts(voteCount, candidates, options = {}) {
+    const names = this.nameMap(candidates);
+    const total = options.total;
+    const { num, den } = this.parseThreshold(options.threshold) || { num: 1, den: 2 };
+    const roleOf = {};
+    candidates.forEach(c => { roleOf[String(c.id)] = c.option_role || null; });
+
+    const list = Object.keys(voteCount).map(candidateId => ({
+      candidateId,
+      candidateName: names[candidateId] || 'Option inconnue',
+      role: roleOf[candidateId],
+      votes: this.round4(voteCount[candidateId]),
+      percentage: this.percentage(voteCount[candidateId], total)
+    }));
+    list.sort((a, b) => b.votes - a.votes);
+
+    const sumFor = (role) => list.filter(r => r.role === role).reduce((sum, r) => sum + r.votes, 0);
+    const yes = this.round4(sumFor('yes'));
+    const no = this.round4(sumFor('no'));
+    const abstain = this.round4(sumFor('abstain'));
+    const decisive = this.round4(yes + no);
+    const simpleMajority = num * 2 === den;
+    const passed = decisive > 0 && (simpleMajority ? yes > no : yes * den >= num * decisive);
+
+    const winner = list.find(r => r.role === (passed ? 'yes' : 'no')) || null;
+    return {
+      method: 'referendum',
+      list,
+      tie: false,
+      tiedCandidates: [],
+      winner,
+      motion: {
+        passed,
+        threshold: den === 1 ? String(num) : `${num}/${den}`,
+        yes,
+        no,
+        abstain,
+        yesShare: this.percentage(yes, decisive)
+      }
+    };
+  }
+
+  /**
+   * Évalue les règles de quorum d'un scrutin: participation minimale (en % des inscrits)
+   * et nombre minimal de suffrages exprimés. Une règle non définie est considérée remplie.
+   * @param {{ minTurnout?: number|null, minValidVotes?: number|null }} rules - Règles du scrutin
+   * @param {{ eligibleVoters: number, votersWhoVoted: number, validVotes: number }} counts - Décomptes issus de voting_records et du dépouillement
+   * @returns {{ met: boolean, turnout: string, failures: string[], eligibleVoters: number, votersWhoVoted: number, validVotes: number }}
+   */
+  static quorum(rules, counts) {
+    const minTurnout = rules.minTurnout == null ? null : Number(rules.minTurnout);
+    const minValidVotes = rules.minValidVotes == null ? null : Number(rules.minValidVotes);
+    // turnout arrondi pour l'affichage ; la comparaison porte sur le ratio exact (24,996 % n'atteint pas 25 %)
+    const turnout = this.percentage(counts.votersWhoVoted, counts.eligibleVoters);
+    const failures = [];
+    const belowTurnout = counts.eligibleVoters > 0
+      ? counts.votersWhoVoted * 100 < minTurnout * counts.eligibleVoters
+      : minTurnout > 0;
+    if (minTurnout != null && belowTurnout) failures.push('min_turnout');
+    if (minValidVotes != null && counts.validVotes < minValidVotes) failures.push('min_valid_votes');
+    return {
+      met: failures.length === 0,
+      turnout,
+      eligibleVoters: counts.eligibleVoters,
+      votersWhoVoted: counts.votersWhoVoted,
+      validVotes: counts.validVotes,
+      minTurnout,
+      minValidVotes,
+      failures
+    };
+  }
+
+  /**
+   * Restreint un groupe d'ex aequo en remontant les tours précédents (du plus récent au plus ancien)
+   */
+  static breakTieBackwards(ids, history) {
+    let group = ids;
+    for (let r = history.length - 2; r >= 0 && group.length > 1; r--) {
+      const min = Math.min(...group.map(id => history[r][id] ?? 0));
+      group = group.filter(id => (history[r][id] ?? 0) === min);
+    }
+    return group;
+  }
+}
@@ -0,0 +1,190 @@
+import crypto from 'crypto';
+
+/**
+ * Déchiffrement à seuil: la clé privée d'un scrutin est partagée entre n assesseurs (Shamir),
+ * k parts suffisent à la reconstituer. Les bulletins sont chiffrés pour la clé publique du
+ * scrutin (X25519 + HKDF + AES-256-GCM) ; le serveur ne conserve jamais la clé privée.
+ * Une part n'est illisible pour le serveur que si elle est chiffrée pour la clé publique de son
+ * assesseur (encryptShare) ; à défaut, le serveur la détient jusqu'à son retrait.
+ */
+
+// Corps premier de Shamir: 2^521 - 1 (premier de Mersenne), plus grand que toute clé de 256 bits
+const PRIME = 2n ** 521n - 1n;
+
+const mod = (a, m = PRIME) => ((a % m) + m) % m;
+
+function modPow(base, exp, m = PRIME) {
+  let result = 1n;
+  let b = mod(base, m);
+  let e = exp;
+  while (e > 0n) {
+    if (e & 1n) result = (result * b) % m;
+    b = (b * b) % m;
+    e >>= 1n;
+  }
+  return result;
+}
+
+const modInverse = (a) => modPow(a, PRIME - 2n);
+
+const randomFieldElement = () => mod(BigInt(`0x${crypto.randomBytes(66).toString('hex')}`));
+
+export class ThresholdCrypto {
+  static algorithm = 'aes-256-gcm';
+  static SCHEME = 'threshold-x25519';
+
+  /**
+   * Partage un secret en n parts dont k suffisent à le reconstituer
+   * @param {Buffer} secret - Secret (clé privée brute de 32 octets)
+   * @param {number} n - Nombre d'assesseurs
+   * @param {number} k - Seuil de reconstitution (1 <= k <= n)
+   * @returns {string[]} - Parts au format "index-hex"
+   */
+  static split(secret, n, k) {
+    if (!Number.isInteger(n) || !Number.isInteger(k) || k < 1 || k > n) {
+      throw new Error('Seuil invalide: 1 <= k <= n requis');
+    }
+    const coefficients = [BigInt(`0x${secret.toString('hex')}`)];
+    for (let i = 1; i < k; i++) coefficients.push(randomFieldElement());
+
+    const shares = [];
+    for (let x = 1n; x <= BigInt(n); x++) {
+      // Évaluation du polynôme par la méthode de Horner
+      let y = 0n;
+      for (let i = coefficients.length - 1; i >= 0; i--) y = mod(y * x + coefficients[i]);
+      shares.push(`${x}-${y.toString(16)}`);
+    }
+    return shares;
+  }
+
+  /**
+   * Reconstitue le secret à partir d'au moins k parts (interpolation de Lagrange en 0)
+   * @param {string[]} shares - Parts au format "index-hex"
+   * @returns {Buffer} - Secret de 32 octets
+   */
+  static combine(shares) {
+    const points = shares.map(share => {
+      const match = /^(\d+)-([0-9a-f]+)$/i.exec(String(share).trim());
+      if (!match) throw new Error('Format de part invalide');
+      return { x: BigInt(match[1]), y: BigInt(`0x${match[2]}`) };
+    });
+    if (new Set(points.map(p => p.x)).size !== points.length) {
+      throw new Error('Parts en double');
+    }
+
+    let secret = 0n;
+    for (const { x: xi, y: yi } of points) {
+      let num = 1n;
+      let den = 1n;
+      for (const { x: xj } of points) {
+        if (xj === xi) continue;
+        num = mod(num * -xj);
+        den = mod(den * (xi - xj));
+      }
+      secret = mod(secret + yi * num * modInverse(den));
+    }
+    return Buffer.from(secret.toString(16).padStart(64, '0').slice(-64), 'hex');
+  }
+
+  static shareIndex(share) {
+    return Number(String(share).split('-')[0]);
+  }
+
+  static hashShare(share) {
+    return crypto.createHash('sha256').update(String(share).trim().toLowerCase()).digest('hex');
+  }
+
+  /**
+   * Génère la paire de clés d'un scrutin et partage la clé privée
+   * @returns {{ publicKey: string, shares: string[] }} - publicKey: clé publique X25519 (base64url)
+   */
+  static generateElectionKey(n, k) {
+    const { privateKey } = crypto.generateKeyPairSync('x25519');
+    const jwk = privateKey.export({ format: 'jwk' });
+    return { publicKey: jwk.x, shares: this.split(Buffer.from(jwk.d, 'base64url'), n, k) };
+  }
+
+  /**
+   * Reconstitue la clé privée du scrutin et vérifie qu'elle correspond à la clé publique publiée
+   * @returns {crypto.KeyObject}
+   */
+  static recoverPrivateKey(shares, publicKey) {
+    const d = this.combine(shares).toString('base64url');
+    let privateKey;
+    try {
+      privateKey = crypto.createPrivateKey({ key: { kty: 'OKP', crv: 'X25519', d, x: publicKey }, format: 'jwk' });
+    } catch {
+      throw new Error('Parts invalides: clé privée non reconstituable');
+    }
+    if (crypto.createPublicKey(privateKey).export({ format: 'jwk' }).x !== publicKey) {
+      throw new Error('Parts invalides: la clé reconstituée ne correspond pas à la clé publique du scrutin');
+    }
+    return privateKey;
+  }
+
+  static deriveKey(sharedSecret, electionId) {
+    return Buffer.from(crypto.hkdfSync('sha256', sharedSecret, String(electionId), 'votux-ballot', 32));
+  }
+
+  /**
+   * Chiffre un bulletin pour la clé publique du scrutin (clé éphémère par bulletin)
+   */
+  static encryptVote(voteData, electionId, publicKey) {
+    try {
+      const recipient = crypto.createPublicKey({ key: { kty: 'OKP', crv: 'X25519', x: publicKey }, format: 'jwk' });
+      const ephemeral = crypto.generateKeyPairSync('x25519');
+      const key = this.deriveKey(crypto.diffieHellman({ privateKey: ephemeral.privateKey, publicKey: recipient }), electionId);
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv(this.algorithm, key, iv);
+      let encrypted = cipher.update(JSON.stringify(voteData), 'utf8', 'hex');
+      encrypted += cipher.final('hex');
+      return {
+        scheme: this.SCHEME,
+        ephemeralPublicKey: ephemeral.publicKey.export({ format: 'jwk' }).x,
+        encryptedData: encrypted,
+        iv: iv.toString('hex'),
+        authTag: cipher.getAuthTag().toString('hex')
+      };
+    } catch (error) {
+      throw new Error(`Erreur de chiffrement: ${error.message}`);
+    }
+  }
+
+  /**
+   * Clé publique X25519 (base64url, 32 octets) valide ; false sinon
+   */
+  static isPublicKey(publicKey) {
+    try {
+      crypto.createPublicKey({ key: { kty: 'OKP', crv: 'X25519', x: String(publicKey) }, format: 'jwk' });
+      return Buffer.from(String(publicKey), 'base64url').length === 32;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Chiffre une part pour la clé publique de son assesseur (même schéma que les bulletins, HKDF salé par context)
+   */
+  static encryptShare(share, trusteePublicKey, context) {
+    return this.encryptVote({ share }, context, trusteePublicKey);
+  }
+
+  // Déchiffrement par l'assesseur, avec sa clé privée X25519 (hors serveur)
+  static decryptShare(payload, context, privateKey) {
+    return this.decryptVote(payload, context, privateKey).share;
+  }
+
+  static decryptVote(payload, electionId, privateKey) {
+    try {
+      const ephemeral = crypto.createPublicKey({ key: { kty: 'OKP', crv: 'X25519', x: payload.ephemeralPublicKey }, format: 'jwk' });
+      const key = this.deriveKey(crypto.diffieHellman({ privateKey, publicKey: ephemeral }), electionId);
+      const decipher = crypto.createDecipheriv(this.algorithm, key, Buffer.from(payload.iv, 'hex'));
+      decipher.setAuthTag(Buffer.from(payload.authTag, 'hex'));
+      let decrypted = decipher.update(payload.encryptedData, 'hex', 'utf8');
+      decrypted += decipher.final('utf8');
+      return JSON.parse(decrypted);
+    } catch (error) {
+      throw new Error(`Erreur de déchiffrement: ${error.message}`);
+    }
+  }
+}